@@ -1,10 +1,353 @@
 // Tracker App - Optimized for mobile racing
 // Enhanced sensor fusion for accurate speed tracking
+
+// Units metrics can be defined in. factor converts to km/h (speed) or meters (distance).
+const METRIC_UNITS = {
+  kph: { label: 'km/h', type: 'speed', factor: 1, isMetric: true },
+  mph: { label: 'mph', type: 'speed', factor: 1.609344, isMetric: false },
+  m: { label: 'm', type: 'distance', factor: 1, isMetric: true },
+  ft: { label: 'ft', type: 'distance', factor: 0.3048, isMetric: false },
+  mile: { label: 'mile', type: 'distance', factor: 1609.344, isMetric: false }
+};
+
+// Chart layouts: which trace value goes on each axis
+const CHART_MODES = {
+  'speed-time': { label: 'Speed', x: 'time', y: 'speed' },
+  'speed-distance': { label: 'Speed/Dist', x: 'distance', y: 'speed' },
+  'g-time': { label: 'G', x: 'time', y: 'g' },
+  'g-speed': { label: 'G/Speed', x: 'speed', y: 'g' },
+  'power-speed': { label: 'Power', x: 'speed', y: 'power' }
+};
+
+// Constants for the wheel power estimate
+const AIR_DENSITY = 1.225; // kg/m³ at 15 °C, sea level
+const ROLLING_RESISTANCE = 0.015; // Typical road tyre on asphalt
+const GRAVITY = 9.81; // m/s²
+
+// Quickest 0-60 mph taken as plausible. Its average acceleration (~1.24 g) is the
+// limit for every result, so the time and g checks can't disagree.
+const QUICKEST_ZERO_TO_SIXTY = 2.2; // s
+const MAX_AVERAGE_ACCEL = 60 * METRIC_UNITS.mph.factor / 3.6 / QUICKEST_ZERO_TO_SIXTY; // m/s²
+
+// Garage vehicle that history from before vehicle profiles is assigned to
+const DEFAULT_VEHICLE_ID = 'default';
+const ONE_WAY_GRADE = 0.5; // % slope from which a result needs a run in the opposite direction
+const SENSOR_FREQUENCY = 100; // Hz requested from the Generic Sensor API
+const PRE_MOTION_TRACE_SECONDS = 5; // Run trace kept from before the car starts moving
+const MAX_TRACE_SECONDS = 600; // Longest run trace kept in memory and saved
+
+// Kalman filter over [position (m), speed (m/s), accelerometer bias (m/s²)].
+// predict() integrates longitudinal acceleration, the update methods fuse
+// GPS speed, GPS distance and zero-velocity observations.
+class MotionKalmanFilter {
+  constructor() {
+    this.accelNoise = 0.5; // Std dev of accelerometer noise (m/s²)
+    this.biasDrift = 0.02; // Bias random walk (m/s² per √s)
+    this.reset(0, 100);
+  }
+
+  reset(speed, speedVariance) {
+    this.x = [0, speed, 0];
+    this.P = [
+      [1, 0, 0],
+      [0, speedVariance, 0],
+      [0, 0, 0.25]
+    ];
+  }
+
+  get position() { return this.x[0]; }
+  get speed() { return this.x[1]; }
+  get bias() { return this.x[2]; }
+  get speedStdDev() { return Math.sqrt(this.P[1][1]); }
+  get positionStdDev() { return Math.sqrt(this.P[0][0]); }
+
+  // Copy of the 3x3 state covariance
+  get covariance() {
+    return this.P.map(row => [...row]);
+  }
+
+  // Move the position origin (e.g. at the start of a run) without touching speed or bias
+  resetPosition() {
+    this.x[0] = 0;
+    this.P[0] = [0, 0, 0];
+    this.P[1][0] = 0;
+    this.P[2][0] = 0;
+  }
+
+  predict(acceleration, dt) {
+    const [p, v, b] = this.x;
+    const a = acceleration - b;
+    this.x = [p + v * dt + 0.5 * a * dt * dt, v + a * dt, b];
+    
+    const F = [
+      [1, dt, -0.5 * dt * dt],
+      [0, 1, -dt],
+      [0, 0, 1]
+    ];
+    
+    // Accelerometer noise enters through position and speed, bias drifts on its own
+    const G = [0.5 * dt * dt, dt, 0];
+    const qa = this.accelNoise ** 2;
+    const qb = this.biasDrift ** 2 * dt;
+    
+    const FP = this.multiply(F, this.P);
+    const FPFt = this.multiply(FP, this.transpose(F));
+    this.P = FPFt.map((row, i) => row.map((value, j) =>
+      value + G[i] * G[j] * qa + (i === 2 && j === 2 ? qb : 0)
+    ));
+  }
+
+  // Add speed uncertainty for a gap where no prediction could be made
+  inflateSpeedUncertainty(variance) {
+    this.P[1][1] += variance;
+  }
+
+  // Advance without an acceleration input: speed is carried forward and its
+  // uncertainty grows by what up to maxAccel of unseen acceleration could have
+  // added. The bias is left alone, so GPS corrections land on the speed
+  // instead of being read as bias.
+  coast(dt, maxAccel) {
+    this.x[0] += this.x[1] * dt;
+    this.P[0][0] += 2 * dt * this.P[0][1] + dt * dt * this.P[1][1];
+    this.P[0][1] += dt * this.P[1][1];
+    this.P[1][0] = this.P[0][1];
+    this.P[0][2] += dt * this.P[1][2];
+    this.P[2][0] = this.P[0][2];
+    this.P[1][1] = (Math.sqrt(this.P[1][1]) + maxAccel * dt) ** 2;
+  }
+
+  updateSpeed(speed, variance) {
+    this.update([0, 1, 0], speed, variance);
+  }
+
+  updatePosition(position, variance) {
+    this.update([1, 0, 0], position, variance);
+  }
+
+  // Zero velocity update: a stationary vehicle is a speed measurement of 0,
+  // which also makes the accelerometer bias observable
+  zeroVelocityUpdate(variance) {
+    this.update([0, 1, 0], 0, variance);
+  }
+
+  // Scalar measurement z = H·x with noise variance R
+  update(H, z, R) {
+    const PHt = this.P.map(row => row[0] * H[0] + row[1] * H[1] + row[2] * H[2]);
+    const S = H[0] * PHt[0] + H[1] * PHt[1] + H[2] * PHt[2] + R;
+    if (S <= 0) return;
+    
+    const K = PHt.map(value => value / S);
+    const innovation = z - (H[0] * this.x[0] + H[1] * this.x[1] + H[2] * this.x[2]);
+    this.x = this.x.map((value, i) => value + K[i] * innovation);
+    
+    // Joseph form keeps P symmetric and positive definite
+    const IKH = [0, 1, 2].map(i => [0, 1, 2].map(j => (i === j ? 1 : 0) - K[i] * H[j]));
+    const P = this.multiply(this.multiply(IKH, this.P), this.transpose(IKH));
+    this.P = P.map((row, i) => row.map((value, j) => value + K[i] * K[j] * R));
+  }
+
+  multiply(A, B) {
+    return A.map(row => B[0].map((_, j) => row.reduce((sum, value, k) => sum + value * B[k][j], 0)));
+  }
+
+  transpose(A) {
+    return A[0].map((_, j) => A.map(row => row[j]));
+  }
+}
+
+// IndexedDB persistence for saved runs (with their complete sensor traces) and
+// per-vehicle metric history. Every method returns a promise.
+class RunStore {
+  constructor(name = 'dragRacing') {
+    this.name = name;
+    this.version = 2;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        
+        const request = indexedDB.open(this.name, this.version);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('runs')) {
+            const runs = db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+            runs.createIndex('timestamp', 'timestamp');
+          }
+          if (!db.objectStoreNames.contains('vehicleHistory')) {
+            // One record per vehicle: { vehicleId, metrics: [{ id, category, history, recent, best }] }
+            const vehicleHistory = db.createObjectStore('vehicleHistory', { keyPath: 'vehicleId' });
+            
+            // Version 1 kept a single history, which becomes the default vehicle's
+            if (db.objectStoreNames.contains('metricHistory')) {
+              const upgrade = request.transaction;
+              const getAll = upgrade.objectStore('metricHistory').getAll();
+              getAll.onsuccess = () => {
+                if (getAll.result.length) {
+                  vehicleHistory.put({ vehicleId: DEFAULT_VEHICLE_ID, metrics: getAll.result });
+                }
+                db.deleteObjectStore('metricHistory');
+              };
+            }
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).then(
+        // A failed migration leaves the legacy data where it was; the database is still usable
+        db => this.migrateLocalStorage(db)
+          .catch(error => console.warn('Could not migrate legacy run data:', error))
+          .then(() => db),
+        error => {
+          // Let the next call try again
+          this.dbPromise = null;
+          throw error;
+        }
+      );
+    }
+    return this.dbPromise;
+  }
+
+  // Runs fn against the named object stores and resolves with its result once the transaction commits
+  async transaction(storeNames, mode, fn) {
+    const db = await this.open();
+    return this.runTransaction(db, storeNames, mode, fn);
+  }
+
+  runTransaction(db, storeNames, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const request = fn(tx);
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // One-off move of the data earlier versions kept in localStorage
+  async migrateLocalStorage(db) {
+    const savedRuns = localStorage.getItem('dragRacingRuns');
+    const savedHistory = localStorage.getItem('dragRacingMetricHistory');
+    if (!savedRuns && !savedHistory) return;
+    
+    let runs = [];
+    let metrics = [];
+    try {
+      runs = JSON.parse(savedRuns || '[]');
+      metrics = this.parseLegacyMetricHistory(savedHistory);
+    } catch (error) {
+      console.warn('Could not parse legacy run data, skipping migration:', error);
+      return;
+    }
+    
+    await this.runTransaction(db, ['runs', 'vehicleHistory'], 'readwrite', tx => {
+      // Legacy runs only kept the last 30s of chart data, in whichever units were selected
+      runs.forEach(run => tx.objectStore('runs').add({
+        timestamp: run.timestamp,
+        legacy: true,
+        chartData: run.chartData || [],
+        metrics: run.metrics || null
+      }));
+      
+      tx.objectStore('vehicleHistory').put({ vehicleId: DEFAULT_VEHICLE_ID, metrics });
+    });
+    
+    localStorage.removeItem('dragRacingRuns');
+    localStorage.removeItem('dragRacingMetricHistory');
+    console.log(`Migrated ${runs.length} runs and metric history to IndexedDB`);
+  }
+
+  // Legacy localStorage history ({ category: [metric] }) as metric records; throws if unreadable
+  parseLegacyMetricHistory(saved) {
+    const history = JSON.parse(saved || '{}');
+    const metrics = [];
+    Object.keys(history).forEach(category => {
+      (history[category] || []).forEach(metric => metrics.push({ ...metric, category }));
+    });
+    return metrics;
+  }
+
+  // Without IndexedDB the history stays where earlier versions kept it
+  readLegacyMetricHistory() {
+    try {
+      return this.parseLegacyMetricHistory(localStorage.getItem('dragRacingMetricHistory'));
+    } catch (error) {
+      console.warn('Could not parse legacy metric history:', error);
+      return [];
+    }
+  }
+
+  writeLegacyMetricHistory(records) {
+    const history = {};
+    records.forEach(({ category, ...metric }) => {
+      (history[category] = history[category] || []).push(metric);
+    });
+    localStorage.setItem('dragRacingMetricHistory', JSON.stringify(history));
+  }
+
+  async getMetricHistory(vehicleId) {
+    const saved = await this.transaction(['vehicleHistory'], 'readonly', tx => tx.objectStore('vehicleHistory').get(vehicleId));
+    return saved ? saved.metrics : [];
+  }
+
+  // Every vehicle's history: [{ vehicleId, metrics }]
+  getAllMetricHistory() {
+    return this.transaction(['vehicleHistory'], 'readonly', tx => tx.objectStore('vehicleHistory').getAll());
+  }
+
+  // Replaces the vehicle's stored history, so metrics that no longer exist are dropped
+  saveMetricHistory(vehicleId, records) {
+    return this.transaction(['vehicleHistory'], 'readwrite', tx => {
+      tx.objectStore('vehicleHistory').put({ vehicleId, metrics: records });
+    });
+  }
+
+  deleteMetricHistory(vehicleId) {
+    return this.transaction(['vehicleHistory'], 'readwrite', tx => {
+      tx.objectStore('vehicleHistory').delete(vehicleId);
+    });
+  }
+
+  // Resolves with the new run's id
+  addRun(run) {
+    return this.transaction(['runs'], 'readwrite', tx => tx.objectStore('runs').add(run));
+  }
+
+  addRuns(runs) {
+    return this.transaction(['runs'], 'readwrite', tx => {
+      runs.forEach(run => tx.objectStore('runs').add(run));
+    });
+  }
+
+  getRun(id) {
+    return this.transaction(['runs'], 'readonly', tx => tx.objectStore('runs').get(id));
+  }
+
+  // All runs, newest first
+  async getRuns() {
+    const runs = await this.transaction(['runs'], 'readonly', tx => tx.objectStore('runs').index('timestamp').getAll());
+    return runs.reverse();
+  }
+
+  clear() {
+    return this.transaction(['runs', 'vehicleHistory'], 'readwrite', tx => {
+      tx.objectStore('runs').clear();
+      tx.objectStore('vehicleHistory').clear();
+    });
+  }
+}
+
 class SpeedTracker {
   constructor() {
     // Settings
     this.darkMode = localStorage.getItem('darkMode') !== 'false'; // default true
     this.isMetric = localStorage.getItem('isMetric') === 'true'; // default false (mph)
+    this.brakingMode = localStorage.getItem('brakingMode') === 'true'; // default false
     
     // Load visible metrics settings (separate for mph and km/h)
     this.visibleMetrics = {
@@ -19,13 +362,24 @@ class SpeedTracker {
     this.velocity = 0;
     this.distance = 0;
     this.lastTimestamp = 0;
-    this.chartData = [];
+    this.previousSample = null; // Last processed sample, for interpolating threshold crossings
+    this.chartData = []; // Rolling 30s of { time, speed, distance, accel } in SI units
+    
+    // Chart
+    this.chartMode = CHART_MODES[localStorage.getItem('chartMode')] ? localStorage.getItem('chartMode') : 'speed-time';
+    this.chartView = null; // Zoomed x range on a finished run, null shows everything
+    this.chartCursor = null; // x value of the readout cursor
+    this.chartPointers = new Map(); // Active pointers: id -> clientX
+    this.chartGesture = null;
+    this.chartLayout = null; // Plot area and x range of the last draw, for pointer mapping
+    this.chartCache = null; // Plotted series of the finished run, see finishedRunChart()
+    this.chartRun = null; // Saved run opened in the chart, in place of the current one
+    this.livePowerChart = null; // Live power curve and when it was estimated, see liveChart()
     
     // Sensor data
     this.calibrationOffset = { x: 0, y: 0, z: 0 };
     this.sensorData = [];
     this.accelerationBuffer = [];
-    this.velocityBuffer = [];
     this.motionThreshold = 0.5;
     this.noiseThreshold = 2.0;
     this.isMoving = false;
@@ -33,6 +387,8 @@ class SpeedTracker {
     this.stationaryDuration = 0; // Track stationary time in seconds
     this.lastValidAcceleration = 0;
     this.deviceMotionActive = false; // Track if device motion listener is active
+    this.motionSource = null; // 'sensor-api' or 'devicemotion'
+    this.motionSensors = null; // Generic Sensor API objects while they're in use
     
     // GPS - Enhanced for sensor fusion
     this.gpsSpeed = 0;
@@ -42,13 +398,13 @@ class SpeedTracker {
     this.lastGpsPosition = null;
     this.velocityConfidence = 0;
     this.gpsDistance = 0; // Track GPS-measured distance
-    this.lastDriftCheckTime = 0; // For periodic drift correction
     this.consecutiveZeroGPS = 0; // Count how many times GPS shows zero speed
     
     // === ENHANCED SENSOR FUSION ===
-    // Kalman-like filter state
-    this.fusedSpeed = 0; // The final fused speed (m/s)
-    this.speedEstimateUncertainty = 10; // Uncertainty of our speed estimate
+    // Single estimator for position, speed and accelerometer bias
+    this.kalman = new MotionKalmanFilter();
+    this.fusedSpeed = 0; // The final fused speed (m/s), mirrors this.kalman.speed
+    this.speedEstimateUncertainty = 10; // Std dev of the fused speed (m/s)
     this.gpsAccuracy = 0; // GPS accuracy from coords.accuracy
     this.lastFusionTime = 0;
     
@@ -57,11 +413,21 @@ class SpeedTracker {
     this.gpsSpeedHistoryMaxSize = 10;
     this.gpsReliabilityScore = 0; // 0-1, how reliable is GPS right now
     
-    // Accelerometer integration state
-    this.accelIntegratedSpeed = 0; // Speed from accelerometer integration
-    this.accelSpeedUncertainty = 0; // Grows with integration time
-    this.lastAccelTimestamp = 0;
-    this.accelDriftRate = 0.5; // m/s per second of drift uncertainty
+    // Vehicle forward axis in device coordinates
+    // Seeded from the launch and refined against GPS speed changes, so only
+    // the signed longitudinal component of acceleration gets integrated
+    this.forwardAxis = null; // Unit vector {x, y, z}, null until learned
+    this.axisFit = { x: 0, y: 0, z: 0, weight: 0 }; // Least-squares accumulators
+    this.axisSampleSum = { x: 0, y: 0, z: 0, count: 0 }; // Accel samples since last GPS fix
+    this.launchAxisSamples = [];
+    this.pendingAxisSeed = null; // Launch seed waiting for GPS to confirm the speed gain
+    this.lastValidLongitudinal = 0;
+    this.lastValidLateral = 0;
+    this.upDirection = { x: 0, y: 0, z: 1 }; // Unit vector opposing gravity, device assumed flat until measured
+    this.upDirectionKnown = false;
+    this.gpsHeading = null; // Degrees, null when GPS has no heading
+    this.gpsHeadingRate = 0; // Degrees per second
+    this.lastGpsSpeedSample = null; // { speed, timestamp } for GPS acceleration
     
     // Moving start detection
     this.initialGpsReceived = false;
@@ -74,54 +440,160 @@ class SpeedTracker {
     this.launchTime = null;
     this.launchAccelerationBuffer = [];
     
+    // Garage: [{ id, name, drivetrain, mass (kg) | null, frontalArea (m²) | null,
+    // dragCoefficient | null, targets: { metricId: string } }]. History is kept per vehicle.
+    this.loadVehicles();
+    
+    // Weather for SAE J1349 correction: { temperature (°C), humidity (%), pressure (hPa, sea level) } or null
+    this.weather = JSON.parse(localStorage.getItem('weather') || 'null');
+    this.gpsAltitude = null; // Latest coords.altitude (m)
+    
+    // Road grade: results steeper than maxGrade (%) are flagged, or left out of bests
+    this.maxGrade = parseFloat(localStorage.getItem('maxGrade') || '1');
+    this.excludeSteepRuns = localStorage.getItem('excludeSteepRuns') === 'true'; // default false
+    this.calibrationUp = null; // Gravity direction captured during calibration
+    
+    // G-meter
+    this.showGMeter = localStorage.getItem('showGMeter') === 'true'; // default false
+    this.gMeterTrail = []; // { longitudinal, lateral, timestamp } in g, last few seconds
+    
+    // Christmas tree start: { phase: 'countdown' | 'green' | 'done', ambers, greenTime,
+    // reactionTime (s), redLight, timers } for the run it was staged for, else null
+    this.treeStart = localStorage.getItem('treeStart') === 'true'; // default false
+    this.tree = null;
+    
+    // Auto-arm: each launch-to-stop cycle is saved as its own run
+    this.autoArm = localStorage.getItem('autoArm') === 'true'; // default false
+    this.segmentStoppedAt = null; // When the car came to rest after the launch
+    this.segmentsSaved = 0; // Runs closed by auto-arm since Start
+    
+    // Voice call-outs: { enabled, voiceURI ('' = default), volume (0-1), muted: [metricId] }
+    this.speech = {
+      enabled: false,
+      voiceURI: '',
+      volume: 1,
+      muted: [],
+      ...JSON.parse(localStorage.getItem('speech') || '{}')
+    };
+    this.runPeaks = { launch: 0, braking: 0, lateral: 0 }; // Peak g values this run
+    
+    // Braking tests
+    this.brakingThreshold = 2.5; // m/s² (~0.25 g) of deceleration that counts as braking
+    
+    // Sensor recording / replay (for reproducing runs offline)
+    this.recordingEnabled = false;
+    this.recording = null; // Active recording: { header, events: [] }
+    this.replay = null; // Active replay: { clock, results, dispatching }
+    
+    // Saved runs and metric history (IndexedDB)
+    this.store = new RunStore();
+    this.runStartedAt = null; // Wall-clock start of the current run
+    this.runTrace = []; // { t, speed, distance, accel } per sensor sample
+    this.runGpsTrace = []; // GPS fixes received during the run
+    this.traceActiveFrom = null; // Run time (s) the car first moved, null while it waits
+    this.runResults = []; // Metric results achieved during the run
+    this.runInterruption = null; // { reason, t } once the page was hidden during the run
+    this.compareSelection = new Set(); // Saved run ids picked for comparison
+    this.historyView = 'results'; // 'results' or 'stats' in the history modal
+    
     // Metrics
     this.initMetrics();
     this.initUI();
+    this.historyReady = null; // Pending or finished loadMetricHistory()
+    this.loadMetricHistory().then(() => this.renderMetrics());
     this.initSensors();
   }
 
   initMetrics() {
+    // from/to are in the metric's unit (see METRIC_UNITS)
     this.metricDefinitions = {
       speed: [
-        { id: '0-40kph', label: '0-40 km/h', target: null, recent: null, best: null, history: [] },
-        { id: '0-60kph', label: '0-60 km/h', target: null, recent: null, best: null, history: [] },
-        { id: '0-80kph', label: '0-80 km/h', target: null, recent: null, best: null, history: [] },
-        { id: '0-100kph', label: '0-100 km/h', target: null, recent: null, best: null, history: [] },
-        { id: '0-120kph', label: '0-120 km/h', target: null, recent: null, best: null, history: [], conditional: true },
-        { id: '0-200kph', label: '0-200 km/h', target: null, recent: null, best: null, history: [], conditional: true },
-        { id: '0-30mph', label: '0-30 mph', target: null, recent: null, best: null, history: [] },
-        { id: '0-60mph', label: '0-60 mph', target: null, recent: null, best: null, history: [] },
-        { id: '60-100mph', label: '60-100 mph', target: null, recent: null, best: null, history: [], conditional: true },
-        { id: '0-100mph', label: '0-100 mph', target: null, recent: null, best: null, history: [], conditional: true },
-        { id: '0-150mph', label: '0-150 mph', target: null, recent: null, best: null, history: [], conditional: true }
+        { id: '0-40kph', label: '0-40 km/h', from: 0, to: 40, unit: 'kph', recent: null, best: null, history: [] },
+        { id: '0-60kph', label: '0-60 km/h', from: 0, to: 60, unit: 'kph', recent: null, best: null, history: [] },
+        { id: '0-80kph', label: '0-80 km/h', from: 0, to: 80, unit: 'kph', recent: null, best: null, history: [] },
+        { id: '0-100kph', label: '0-100 km/h', from: 0, to: 100, unit: 'kph', recent: null, best: null, history: [] },
+        { id: '0-120kph', label: '0-120 km/h', from: 0, to: 120, unit: 'kph', recent: null, best: null, history: [], conditional: true },
+        { id: '0-200kph', label: '0-200 km/h', from: 0, to: 200, unit: 'kph', recent: null, best: null, history: [], conditional: true },
+        { id: '0-30mph', label: '0-30 mph', from: 0, to: 30, unit: 'mph', recent: null, best: null, history: [] },
+        { id: '0-60mph', label: '0-60 mph', from: 0, to: 60, unit: 'mph', recent: null, best: null, history: [] },
+        { id: '60-100mph', label: '60-100 mph', from: 60, to: 100, unit: 'mph', recent: null, best: null, history: [], conditional: true },
+        { id: '0-100mph', label: '0-100 mph', from: 0, to: 100, unit: 'mph', recent: null, best: null, history: [], conditional: true },
+        { id: '0-150mph', label: '0-150 mph', from: 0, to: 150, unit: 'mph', recent: null, best: null, history: [], conditional: true }
       ],
       distance: [
-        { id: '1000m', label: '1000m', target: '22.6s', recent: null, best: null, history: [] },
-        { id: '1/8mile', label: '1/8 mile', target: '8.7s @ 97.6mph', recent: null, best: null, history: [] },
-        { id: '1/4mile', label: '1/4 mile', target: '11.9s @ 116.2mph', recent: null, best: null, history: [] },
-        { id: '1mile', label: '1 mile', target: '30.9s @ 161.6mph', recent: null, best: null, history: [], conditional: true }
+        { id: '1000m', label: '1000m', from: 0, to: 1000, unit: 'm', recent: null, best: null, history: [] },
+        { id: '1/8mile', label: '1/8 mile', from: 0, to: 0.125, unit: 'mile', recent: null, best: null, history: [] },
+        { id: '1/4mile', label: '1/4 mile', from: 0, to: 0.25, unit: 'mile', recent: null, best: null, history: [] },
+        { id: '1mile', label: '1 mile', from: 0, to: 1, unit: 'mile', recent: null, best: null, history: [], conditional: true }
+      ],
+      // Stopping tests, only checked in braking mode. Best = shortest distance.
+      braking: [
+        { id: '60-0mph', label: '60-0 mph', from: 60, to: 0, unit: 'mph', recent: null, best: null, history: [] },
+        { id: '100-0kph', label: '100-0 km/h', from: 100, to: 0, unit: 'kph', recent: null, best: null, history: [] }
       ]
     };
     
+    // User-defined intervals from the settings modal
+    this.customMetrics = JSON.parse(localStorage.getItem('customMetrics') || '[]');
+    this.customMetrics.forEach(definition => this.addMetricDefinition(definition));
+    
     // Track achieved speeds during a run
-    this.runAchievements = {
-      speedTargets: {
-        '0-40kph': { achieved: false, fromSpeed: 0 },
-        '0-60kph': { achieved: false, fromSpeed: 0 },
-        '0-80kph': { achieved: false, fromSpeed: 0 },
-        '0-100kph': { achieved: false, fromSpeed: 0 },
-        '0-120kph': { achieved: false, fromSpeed: 0 },
-        '0-200kph': { achieved: false, fromSpeed: 0 },
-        '0-30mph': { achieved: false, fromSpeed: 0 },
-        '0-60mph': { achieved: false, fromSpeed: 0 },
-        '60-100mph': { achieved: false, fromSpeed: 60 },
-        '0-100mph': { achieved: false, fromSpeed: 0 },
-        '0-150mph': { achieved: false, fromSpeed: 0 }
-      }
-    };
+    this.runAchievements = { speedTargets: {} };
+    this.metricDefinitions.speed.forEach(metric => this.addSpeedTarget(metric));
     
     this.runDistanceAchievements = {};
-    this.loadMetricHistory();
+    this.runBrakingState = {};
+  }
+
+  allMetrics() {
+    return [...this.metricDefinitions.speed, ...this.metricDefinitions.distance, ...this.metricDefinitions.braking];
+  }
+
+  isBrakingMetric(metric) {
+    return this.metricDefinitions.braking.includes(metric);
+  }
+
+  // Braking results rank by stopping distance, everything else by time
+  sortHistory(metric) {
+    return this.sortEntries(metric.history, this.isBrakingMetric(metric));
+  }
+
+  // Best first: shortest stopping distance for braking tests, otherwise shortest time.
+  // Results that can't count as a best are ranked after all the others.
+  sortEntries(history, isBraking) {
+    const key = isBraking ? 'distance' : 'time';
+    return [...history].sort((a, b) => (this.countsForBest(b) - this.countsForBest(a)) || (a[key] - b[key]));
+  }
+
+  // null when no result in the history counts as a best
+  bestEntry(history, isBraking) {
+    const [first] = this.sortEntries(history, isBraking);
+    return first && this.countsForBest(first) ? first : null;
+  }
+
+  countsForBest(entry) {
+    return !entry.quality?.suspect && !(this.excludeSteepRuns && this.isSteep(entry));
+  }
+
+  addMetricDefinition(definition) {
+    const metric = {
+      ...definition,
+      custom: true,
+      recent: null,
+      best: null,
+      history: []
+    };
+    this.metricDefinitions[definition.type].push(metric);
+    return metric;
+  }
+
+  addSpeedTarget(metric) {
+    this.runAchievements.speedTargets[metric.id] = { achieved: false, fromSpeed: metric.from, armed: false, startTime: null };
+  }
+
+  // True if the metric belongs to the unit system currently displayed
+  matchesUnitSystem(metric) {
+    return METRIC_UNITS[metric.unit].isMetric === this.isMetric;
   }
 
   initUI() {
@@ -138,6 +610,7 @@ class SpeedTracker {
       headerStopBtn: document.getElementById('headerStopBtn'),
       resetBtn: document.getElementById('resetBtn'),
       chart: document.getElementById('chart'),
+      chartModes: document.getElementById('chartModes'),
       metricsGrid: document.getElementById('metricsGrid'),
       recordingIndicator: document.getElementById('recordingIndicator'),
       settingsButton: document.getElementById('settingsButton'),
@@ -145,6 +618,51 @@ class SpeedTracker {
       closeSettings: document.getElementById('closeSettings'),
       darkModeToggle: document.getElementById('darkModeToggle'),
       metricToggle: document.getElementById('metricToggle'),
+      brakingModeToggle: document.getElementById('brakingModeToggle'),
+      gMeterToggle: document.getElementById('gMeterToggle'),
+      vehicleSelect: document.getElementById('vehicleSelect'),
+      addVehicleBtn: document.getElementById('addVehicleBtn'),
+      deleteVehicleBtn: document.getElementById('deleteVehicleBtn'),
+      vehicleName: document.getElementById('vehicleName'),
+      vehicleDrivetrain: document.getElementById('vehicleDrivetrain'),
+      vehicleMass: document.getElementById('vehicleMass'),
+      vehicleArea: document.getElementById('vehicleArea'),
+      vehicleDrag: document.getElementById('vehicleDrag'),
+      vehicleMassLabel: document.getElementById('vehicleMassLabel'),
+      vehicleAreaLabel: document.getElementById('vehicleAreaLabel'),
+      vehicleError: document.getElementById('vehicleError'),
+      weatherTemperature: document.getElementById('weatherTemperature'),
+      weatherTemperatureLabel: document.getElementById('weatherTemperatureLabel'),
+      weatherHumidity: document.getElementById('weatherHumidity'),
+      weatherPressure: document.getElementById('weatherPressure'),
+      weatherPressureLabel: document.getElementById('weatherPressureLabel'),
+      weatherError: document.getElementById('weatherError'),
+      correctionStatus: document.getElementById('correctionStatus'),
+      maxGrade: document.getElementById('maxGrade'),
+      excludeSteepToggle: document.getElementById('excludeSteepToggle'),
+      gradeError: document.getElementById('gradeError'),
+      gMeterSection: document.getElementById('gMeterSection'),
+      gMeterCanvas: document.getElementById('gMeterCanvas'),
+      gMeterLongitudinal: document.getElementById('gMeterLongitudinal'),
+      gMeterLateral: document.getElementById('gMeterLateral'),
+      gMeterPeaks: document.getElementById('gMeterPeaks'),
+      treeToggle: document.getElementById('treeToggle'),
+      treeSection: document.getElementById('treeSection'),
+      treeAmbers: [1, 2, 3].map(n => document.getElementById(`treeAmber${n}`)),
+      treeGreen: document.getElementById('treeGreen'),
+      treeRed: document.getElementById('treeRed'),
+      treeStageBtn: document.getElementById('treeStageBtn'),
+      treeReadout: document.getElementById('treeReadout'),
+      wakeLockWarning: document.getElementById('wakeLockWarning'),
+      autoArmToggle: document.getElementById('autoArmToggle'),
+      autoArmStatus: document.getElementById('autoArmStatus'),
+      speechToggle: document.getElementById('speechToggle'),
+      speechOptions: document.getElementById('speechOptions'),
+      speechUnsupported: document.getElementById('speechUnsupported'),
+      speechVoice: document.getElementById('speechVoice'),
+      speechVolume: document.getElementById('speechVolume'),
+      speechMetrics: document.getElementById('speechMetrics'),
+      speechTestBtn: document.getElementById('speechTestBtn'),
       metricSelection: document.getElementById('metricSelection'),
       calibrationModal: document.getElementById('calibrationModal'),
       calibrationProgress: document.getElementById('calibrationProgress'),
@@ -152,15 +670,56 @@ class SpeedTracker {
       historyModal: document.getElementById('historyModal'),
       historyHeader: document.getElementById('historyHeader'),
       historyTableBody: document.getElementById('historyTableBody'),
+      historyTarget: document.getElementById('historyTarget'),
+      historyTargetRow: document.getElementById('historyTargetRow'),
+      historyTargetLabel: document.getElementById('historyTargetLabel'),
+      historyViews: document.getElementById('historyViews'),
+      historyResultsTab: document.getElementById('historyResultsTab'),
+      historyStatsTab: document.getElementById('historyStatsTab'),
+      historyResultsView: document.getElementById('historyResultsView'),
+      historyStatsView: document.getElementById('historyStatsView'),
+      historyStatsGrid: document.getElementById('historyStatsGrid'),
+      historyStatsTrend: document.getElementById('historyStatsTrend'),
+      historyProgressChart: document.getElementById('historyProgressChart'),
+      historySessionBody: document.getElementById('historySessionBody'),
       closeHistory: document.getElementById('closeHistory'),
       confirmModal: document.getElementById('confirmModal'),
       confirmYes: document.getElementById('confirmYes'),
-      confirmNo: document.getElementById('confirmNo')
+      confirmNo: document.getElementById('confirmNo'),
+      recordToggle: document.getElementById('recordToggle'),
+      replayBtn: document.getElementById('replayBtn'),
+      replayFileInput: document.getElementById('replayFileInput'),
+      customMetricList: document.getElementById('customMetricList'),
+      customMetricType: document.getElementById('customMetricType'),
+      customMetricFrom: document.getElementById('customMetricFrom'),
+      customMetricTo: document.getElementById('customMetricTo'),
+      customMetricUnit: document.getElementById('customMetricUnit'),
+      customMetricError: document.getElementById('customMetricError'),
+      addCustomMetricBtn: document.getElementById('addCustomMetricBtn'),
+      savedRunList: document.getElementById('savedRunList'),
+      exportFormat: document.getElementById('exportFormat'),
+      exportAllBtn: document.getElementById('exportAllBtn'),
+      importBtn: document.getElementById('importBtn'),
+      importFileInput: document.getElementById('importFileInput'),
+      compareRunsBtn: document.getElementById('compareRunsBtn'),
+      compareModal: document.getElementById('compareModal'),
+      compareLegend: document.getElementById('compareLegend'),
+      compareChart: document.getElementById('compareChart'),
+      compareDeltaChart: document.getElementById('compareDeltaChart'),
+      compareTableHead: document.getElementById('compareTableHead'),
+      compareTableBody: document.getElementById('compareTableBody'),
+      closeCompare: document.getElementById('closeCompare')
     };
     
     // Set initial states
     this.elements.darkModeToggle.classList.toggle('active', this.darkMode);
     this.elements.metricToggle.classList.toggle('active', this.isMetric);
+    this.elements.brakingModeToggle.classList.toggle('active', this.brakingMode);
+    this.elements.gMeterToggle.classList.toggle('active', this.showGMeter);
+    this.elements.gMeterSection.classList.toggle('hidden', !this.showGMeter);
+    this.elements.treeToggle.classList.toggle('active', this.treeStart);
+    this.elements.treeSection.classList.toggle('hidden', !this.treeStart);
+    this.elements.autoArmToggle.classList.toggle('active', this.autoArm);
     this.elements.speedUnit.textContent = this.isMetric ? 'km/h' : 'mph';
     
     // Event listeners
@@ -176,10 +735,74 @@ class SpeedTracker {
     
     this.elements.darkModeToggle.addEventListener('click', () => this.toggleDarkMode());
     this.elements.metricToggle.addEventListener('click', () => this.toggleUnits());
+    this.elements.brakingModeToggle.addEventListener('click', () => this.toggleBrakingMode());
+    this.elements.gMeterToggle.addEventListener('click', () => this.toggleGMeter());
+    this.elements.treeToggle.addEventListener('click', () => this.toggleTreeStart());
+    this.elements.treeStageBtn.addEventListener('click', () => this.stageTree());
+    this.elements.autoArmToggle.addEventListener('click', () => this.toggleAutoArm());
+    this.elements.speechToggle.addEventListener('click', () => this.toggleSpeech());
+    this.elements.speechVoice.addEventListener('change', () => {
+      this.speech.voiceURI = this.elements.speechVoice.value;
+      this.saveSpeechSettings();
+    });
+    this.elements.speechVolume.addEventListener('change', () => {
+      this.speech.volume = parseFloat(this.elements.speechVolume.value);
+      this.saveSpeechSettings();
+    });
+    this.elements.speechTestBtn.addEventListener('click', () => this.speak('zero to sixty, four point two one'));
+    if ('speechSynthesis' in window) {
+      // Voices load asynchronously in most browsers
+      window.speechSynthesis.addEventListener('voiceschanged', () => this.renderSpeechSettings());
+    }
+    this.elements.vehicleSelect.addEventListener('change', () => this.selectVehicle(this.elements.vehicleSelect.value));
+    this.elements.addVehicleBtn.addEventListener('click', () => this.addVehicle());
+    this.elements.deleteVehicleBtn.addEventListener('click', () => this.deleteVehicle());
+    [
+      this.elements.vehicleName,
+      this.elements.vehicleDrivetrain,
+      this.elements.vehicleMass,
+      this.elements.vehicleArea,
+      this.elements.vehicleDrag
+    ].forEach(input => {
+      input.addEventListener('change', () => this.saveVehicle());
+    });
+    [
+      this.elements.weatherTemperature,
+      this.elements.weatherHumidity,
+      this.elements.weatherPressure
+    ].forEach(input => {
+      input.addEventListener('change', () => this.saveWeather());
+    });
+    this.elements.maxGrade.addEventListener('change', () => this.saveMaxGrade());
+    this.elements.excludeSteepToggle.addEventListener('click', () => this.toggleExcludeSteep());
+    this.elements.historyTarget.addEventListener('change', () => {
+      this.setMetricTarget(this.historyMetricId, this.elements.historyTarget.value);
+    });
+    this.elements.historyResultsTab.addEventListener('click', () => this.setHistoryView('results'));
+    this.elements.historyStatsTab.addEventListener('click', () => this.setHistoryView('stats'));
+    this.elements.recordToggle.addEventListener('click', () => this.toggleRecording());
+    this.elements.replayBtn.addEventListener('click', () => this.elements.replayFileInput.click());
+    this.elements.replayFileInput.addEventListener('change', (event) => this.handleReplayFile(event));
+    this.elements.customMetricType.addEventListener('change', () => this.renderCustomMetricUnits());
+    this.elements.addCustomMetricBtn.addEventListener('click', () => this.addCustomMetric());
+    this.elements.exportAllBtn.addEventListener('click', () => this.exportAll());
+    this.elements.importBtn.addEventListener('click', () => this.elements.importFileInput.click());
+    this.elements.importFileInput.addEventListener('change', (event) => this.handleImportFile(event));
+    this.elements.compareRunsBtn.addEventListener('click', () => this.compareSelectedRuns());
+    this.elements.closeCompare.addEventListener('click', () => this.closeCompareModal());
+    
+    this.initWakeLock();
+    this.initLifecycle();
     
     // Initialize chart
     this.initChart();
     this.renderMetricSelection();
+    this.renderCustomMetrics();
+    this.renderCustomMetricUnits();
+    this.renderGarage();
+    this.renderWeather();
+    this.renderGradeSettings();
+    this.renderSpeechSettings();
     this.renderMetrics();
     
     // Auto-start run on page load
@@ -209,15 +832,11 @@ class SpeedTracker {
   }
 
   async initSensors() {
-    // Device Motion
-    if (window.DeviceMotionEvent) {
-      if (typeof DeviceMotionEvent.requestPermission === 'function') {
-        // iOS - will request on first run
-      } else {
-        // Android - set up passive listener
-        window.addEventListener('devicemotion', (event) => this.handleDeviceMotion(event));
-        this.deviceMotionActive = true;
-      }
+    // Generic Sensor API first: higher rates and a timestamp per reading
+    if (this.startMotionSensors()) {
+      this.motionSource = 'sensor-api';
+    } else {
+      this.startDeviceMotion();
     }
     
     // GPS - Check if available
@@ -245,12 +864,114 @@ class SpeedTracker {
     }
   }
 
+  startDeviceMotion() {
+    this.motionSource = 'devicemotion';
+    if (!window.DeviceMotionEvent || this.deviceMotionActive) return;
+    
+    if (typeof DeviceMotionEvent.requestPermission === 'function') {
+      // iOS - will request on first run
+    } else {
+      // Android - set up passive listener
+      window.addEventListener('devicemotion', (event) => this.handleDeviceMotion(event));
+      this.deviceMotionActive = true;
+    }
+  }
+
+  // Starts LinearAccelerationSensor, plus GravitySensor and Gyroscope where they
+  // exist. Returns false if the linear sensor can't be used at all.
+  startMotionSensors() {
+    if (!('LinearAccelerationSensor' in window)) return false;
+    
+    const options = { frequency: SENSOR_FREQUENCY, referenceFrame: 'device' };
+    const sensors = { linear: null, gravity: null, gyroscope: null, gotReading: false };
+    try {
+      sensors.linear = new LinearAccelerationSensor(options);
+    } catch (error) {
+      console.log('LinearAccelerationSensor unavailable:', error);
+      return false;
+    }
+    
+    // Optional companions: without them gravity and rotation are simply left out
+    const optional = { gravity: 'GravitySensor', gyroscope: 'Gyroscope' };
+    for (const [key, name] of Object.entries(optional)) {
+      if (!(name in window)) continue;
+      try {
+        sensors[key] = new window[name](options);
+        sensors[key].addEventListener('error', (event) => {
+          console.warn(`${name} error:`, event.error);
+          sensors[key] = null;
+        });
+      } catch (error) {
+        console.log(`${name} unavailable:`, error);
+      }
+    }
+    
+    sensors.linear.addEventListener('reading', () => this.handleSensorReading());
+    sensors.linear.addEventListener('error', (event) => {
+      console.warn('LinearAccelerationSensor error, falling back to devicemotion:', event.error);
+      this.fallbackToDeviceMotion();
+    });
+    
+    this.motionSensors = sensors;
+    try {
+      sensors.gravity?.start();
+      sensors.gyroscope?.start();
+      sensors.linear.start();
+    } catch (error) {
+      this.stopMotionSensors();
+      return false;
+    }
+    
+    // A sensor that was created but never delivers (e.g. blocked by a permissions
+    // policy without an error) would otherwise leave the app without motion data
+    setTimeout(() => {
+      if (this.motionSensors === sensors && !sensors.gotReading) {
+        console.warn('No Generic Sensor readings, falling back to devicemotion');
+        this.fallbackToDeviceMotion();
+      }
+    }, 2000);
+    
+    console.log(`Generic Sensor API active (${SENSOR_FREQUENCY}Hz requested)`);
+    return true;
+  }
+
+  stopMotionSensors() {
+    const sensors = this.motionSensors;
+    this.motionSensors = null;
+    if (!sensors) return;
+    
+    for (const sensor of [sensors.linear, sensors.gravity, sensors.gyroscope]) {
+      try {
+        sensor?.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    }
+  }
+
+  fallbackToDeviceMotion() {
+    if (!this.motionSensors) return;
+    this.stopMotionSensors();
+    this.startDeviceMotion();
+  }
+
+  // Clock used by the whole sensor pipeline. During replay it returns the
+  // recorded timestamp of the event being dispatched, so results don't
+  // depend on how fast the replay is actually executed.
+  now() {
+    return this.replay ? this.replay.clock : performance.now();
+  }
+
   async startRun() {
     // Don't start again if already running
-    if (this.isRunning) {
+    if (this.isRunning || this.replay) {
       return;
     }
     
+    if (this.recordingEnabled && !this.replay) {
+      this.startRecording();
+    }
+    
     // Start GPS watching FIRST (before any async operations)
     // This ensures it's called synchronously with the user gesture
     if (this.gpsAvailable && !this.gpsWatchId) {
@@ -275,7 +996,7 @@ class SpeedTracker {
     }
     
     // Request iOS permissions if needed and not already done
-    if (typeof DeviceMotionEvent.requestPermission === 'function' && !this.deviceMotionActive) {
+    if (this.motionSource === 'devicemotion' && typeof DeviceMotionEvent.requestPermission === 'function' && !this.deviceMotionActive) {
       try {
         const permission = await DeviceMotionEvent.requestPermission();
         if (permission !== 'granted') {
@@ -294,6 +1015,9 @@ class SpeedTracker {
       }
     }
     
+    // Results can't be recorded into the metrics before their history is loaded
+    await this.historyReady;
+    
     // Start calibration - skip if user was moving at start
     if (!this.isCalibrated && !this.wasMovingAtStart) {
       await this.startCalibration();
@@ -301,42 +1025,66 @@ class SpeedTracker {
       console.log('Skipping calibration - moving start detected, using GPS for initial state');
     }
     
+    this.beginRun();
+  }
+
+  // segment: started by auto-arm after the previous cycle was closed
+  beginRun({ segment = false } = {}) {
+    this.recordEvent({
+      type: 'start',
+      calibrationOffset: { ...this.calibrationOffset },
+      isCalibrated: this.isCalibrated,
+      segment
+    });
+    
     // Begin run
     this.isRunning = true;
-    this.runStartTime = performance.now();
+    this.runStartTime = this.now();
+    this.runStartedAt = new Date().toISOString();
+    this.runTrace = [];
+    this.runGpsTrace = [];
+    this.traceActiveFrom = null;
+    this.runResults = [];
+    this.runInterruption = null;
+    this.runPeaks = { launch: 0, braking: 0, lateral: 0 };
+    this.cancelTree(); // A tree belongs to the run it was staged for
     
     // === SENSOR FUSION STATE RESET ===
     // Don't reset velocity to 0 if we detected moving start
     if (!this.wasMovingAtStart) {
-    this.velocity = 0;
-      this.fusedSpeed = 0;
-      this.accelIntegratedSpeed = 0;
+      // Calibration just confirmed the device is still
+      this.kalman.reset(0, 0.25);
     }
-    // If wasMovingAtStart is true, velocity was already set from GPS in detectMovingStart()
+    // If wasMovingAtStart is true, the filter was already initialised from GPS in detectMovingStart()
+    this.kalman.resetPosition();
+    this.syncFusionState();
     
     this.distance = 0;
     this.gpsDistance = 0; // Reset GPS distance tracking
-    this.lastDriftCheckTime = 0; // Reset drift check timer
     this.consecutiveZeroGPS = 0; // Reset zero GPS counter
-    this.speedEstimateUncertainty = this.wasMovingAtStart ? 2 : 10;
-    this.accelSpeedUncertainty = 0;
     this.lastFusionTime = 0;
-    this.lastAccelTimestamp = 0;
     
     this.chartData = [];
+    this.chartView = null;
+    this.chartCursor = null;
     this.lastTimestamp = 0;
+    this.previousSample = null;
     this.accelerationBuffer = [];
-    this.velocityBuffer = [];
     this.isMoving = this.wasMovingAtStart; // Keep moving state if already moving
     this.launchDetected = false;
     this.launchTime = null;
     this.launchAccelerationBuffer = [];
+    this.segmentStoppedAt = null;
     
     // Reset achievements
     Object.keys(this.runAchievements.speedTargets).forEach(key => {
-      this.runAchievements.speedTargets[key].achieved = false;
+      const achievement = this.runAchievements.speedTargets[key];
+      achievement.achieved = false;
+      achievement.armed = false;
+      achievement.startTime = null;
     });
     this.runDistanceAchievements = {};
+    this.runBrakingState = {};
     
     // Update UI
     this.elements.startBtn.classList.add('hidden'); // Legacy
@@ -344,15 +1092,31 @@ class SpeedTracker {
     this.elements.headerStopBtn.classList.add('active');
     this.elements.recordingIndicator.classList.add('active');
     
+    if (!this.replay) {
+      this.acquireWakeLock();
+    }
+    
+    this.renderAutoArmStatus();
     this.updateChart();
   }
 
   stopRun() {
+    if (this.replay) {
+      // Stop button during a replay cancels the replay
+      this.replay.cancelled = true;
+      return;
+    }
+    
     this.isRunning = false;
     this.elements.startBtn.classList.remove('hidden'); // Legacy
     this.elements.headerStartBtn.classList.remove('hidden');
     this.elements.headerStopBtn.classList.remove('active');
     this.elements.recordingIndicator.classList.remove('active');
+    this.releaseWakeLock();
+    
+    // Already saved when the page was hidden
+    const alreadySaved = this.suspended;
+    this.suspended = false;
     
     // Stop GPS watching to save battery
     if (this.gpsWatchId) {
@@ -367,7 +1131,24 @@ class SpeedTracker {
     this.gpsSpeedHistory = [];
     this.initialGpsReceived = false;
     
-    this.saveRun();
+    // An auto-armed run that never launched is just the wait for the next pull
+    const idle = this.autoArm && this.isIdleRun();
+    if (!alreadySaved && !idle) {
+      this.saveRun();
+    }
+    this.cancelTree();
+    this.segmentsSaved = 0;
+    this.renderAutoArmStatus();
+    
+    // Show the whole run, ready to zoom into
+    this.chartRun = null;
+    this.renderChartModes();
+    this.resetChartView();
+    
+    if (this.recording) {
+      this.recordEvent({ type: 'stop' });
+      this.finishRecording();
+    }
   }
 
   async startCalibration() {
@@ -411,21 +1192,77 @@ class SpeedTracker {
       };
       
       this.isCalibrated = true;
+      
+      // Gravity at rest, for the slope the car was standing on
+      this.calibrationUp = this.upDirectionKnown ? { ...this.upDirection } : null;
+      
+      // A fresh calibration usually means the device was remounted
+      this.resetForwardAxis();
     }
     
     this.elements.calibrationModal.classList.remove('show');
     this.elements.calibrationProgress.style.width = '0%';
   }
 
-  handleDeviceMotion(event) {
+  // Generic Sensor API reading. Packed into the shape of a devicemotion event so
+  // both sources share one pipeline and one recording format.
+  handleSensorReading() {
+    const sensors = this.motionSensors;
+    if (!sensors) return;
+    sensors.gotReading = true;
+    
+    const { linear, gravity, gyroscope } = sensors;
+    if (linear.x === null) return;
+    
+    const hasGravity = gravity && gravity.x !== null;
+    const hasGyroscope = gyroscope && gyroscope.x !== null;
+    const degrees = 180 / Math.PI;
+    const event = {
+      acceleration: { x: linear.x, y: linear.y, z: linear.z },
+      accelerationIncludingGravity: hasGravity
+        ? { x: linear.x + gravity.x, y: linear.y + gravity.y, z: linear.z + gravity.z }
+        : null,
+      // Same axes and units (deg/s) as DeviceMotionEvent.rotationRate
+      rotationRate: hasGyroscope
+        ? { alpha: gyroscope.z * degrees, beta: gyroscope.x * degrees, gamma: gyroscope.y * degrees }
+        : null,
+      interval: 1000 / SENSOR_FREQUENCY
+    };
+    
+    // The reading's own timestamp shares performance.now()'s time origin
+    // and doesn't carry the delay of the event being dispatched
+    const timestamp = Number.isFinite(linear.timestamp) ? linear.timestamp : this.now();
+    this.handleDeviceMotion(event, timestamp);
+  }
+
+  handleDeviceMotion(event, timestamp = this.now()) {
+    // Ignore live sensors while a recording is being replayed
+    if (this.replay && !this.replay.dispatching) return;
+    
+    this.recordEvent({
+      t: timestamp,
+      type: 'motion',
+      acceleration: this.copyVector(event.acceleration),
+      accelerationIncludingGravity: this.copyVector(event.accelerationIncludingGravity),
+      rotationRate: event.rotationRate ? {
+        alpha: event.rotationRate.alpha,
+        beta: event.rotationRate.beta,
+        gamma: event.rotationRate.gamma
+      } : null,
+      interval: event.interval
+    });
+    
     // PREFER Linear Acceleration (hardware gravity removal) if available
     // This is much better at ignoring tilt than manual gravity subtraction
     if (event.acceleration && event.acceleration.x !== null) {
+      if (event.accelerationIncludingGravity && event.accelerationIncludingGravity.x !== null) {
+        this.updateUpDirection(event.acceleration, event.accelerationIncludingGravity);
+      }
       this.processSensorData({
         x: event.acceleration.x,
         y: event.acceleration.y,
         z: event.acceleration.z,
-        timestamp: performance.now(),
+        timestamp,
         isLinear: true // Flag to skip manual gravity subtraction
       });
     } else if (event.accelerationIncludingGravity) {
@@ -434,7 +1271,7 @@ class SpeedTracker {
         x: event.accelerationIncludingGravity.x,
         y: event.accelerationIncludingGravity.y,
         z: event.accelerationIncludingGravity.z, // passed raw, subtraction happens in process
-        timestamp: performance.now(),
+        timestamp,
         isLinear: false
       });
     }
@@ -443,16 +1280,6 @@ class SpeedTracker {
   processSensorData(data) {
     let calibratedData;
     
-    // Track time since last accelerometer reading for fusion
-    const timeSinceLastAccel = this.lastAccelTimestamp > 0 ? 
-      (data.timestamp - this.lastAccelTimestamp) / 1000 : 0;
-    this.lastAccelTimestamp = data.timestamp;
-    
-    // If too much time passed (screen lock/background), increase uncertainty
-    if (timeSinceLastAccel > 0.5) {
-      this.accelSpeedUncertainty += timeSinceLastAccel * this.accelDriftRate * 2;
-    }
-    
     if (data.isLinear) {
       // Linear acceleration: just apply calibration offset (for sensor bias)
       // No need to subtract 9.81
@@ -476,8 +1303,9 @@ class SpeedTracker {
     // Apply filtering
     const processedData = this.applyFiltering(calibratedData);
     this.sensorData.push(processedData);
+    this.updateGMeter(processedData);
     
-    if (this.isRunning) {
+    if (this.isRunning && !this.suspended) {
       this.updateMetrics(processedData);
     }
     
@@ -490,8 +1318,39 @@ class SpeedTracker {
   applyFiltering(data) {
     const magnitude = Math.sqrt(data.x ** 2 + data.y ** 2 + data.z ** 2);
     
+    // Noise rejection
+    if (magnitude > this.noiseThreshold * 5) {
+      return {
+        ...data,
+        filteredMagnitude: this.lastValidAcceleration,
+        longitudinalAccel: this.lastValidLongitudinal,
+        lateralAccel: this.lastValidLateral
+      };
+    }
+    
+    this.learnForwardAxisFromLaunch(data, magnitude);
+    this.axisSampleSum.x += data.x;
+    this.axisSampleSum.y += data.y;
+    this.axisSampleSum.z += data.z;
+    this.axisSampleSum.count++;
+    
+    // Until the forward axis is known there is no signed acceleration: the
+    // magnitude would count cornering and braking as forward. Speed then
+    // comes from GPS alone, which also learns the Kalman bias.
+    const longitudinal = this.forwardAxis
+      ? data.x * this.forwardAxis.x + data.y * this.forwardAxis.y + data.z * this.forwardAxis.z
+      : 0;
+    
+    // Lateral needs the forward axis; positive is to the right
+    const lateralAxis = this.lateralAxis();
+    const lateral = lateralAxis
+      ? data.x * lateralAxis.x + data.y * lateralAxis.y + data.z * lateralAxis.z
+      : 0;
+    
     this.accelerationBuffer.push({
       magnitude: magnitude,
+      longitudinal: longitudinal,
+      lateral: lateral,
       timestamp: data.timestamp,
       raw: { x: data.x, y: data.y, z: data.z }
     });
@@ -500,26 +1359,10 @@ class SpeedTracker {
       this.accelerationBuffer.shift();
     }
     
-    // Noise rejection
-    if (magnitude > this.noiseThreshold * 5) {
-      return {
-        ...data,
-        filteredMagnitude: this.lastValidAcceleration
-      };
-    }
-    
     // Moving average filter
-    let filteredMagnitude = magnitude;
-    if (this.accelerationBuffer.length >= 5) {
-      const recentMagnitudes = this.accelerationBuffer
-        .slice(-10)
-        .map(d => d.magnitude)
-        .sort((a, b) => a - b);
-      
-      const trimCount = Math.floor(recentMagnitudes.length * 0.05);
-      const trimmedData = recentMagnitudes.slice(trimCount, -trimCount || undefined);
-      filteredMagnitude = trimmedData.reduce((sum, val) => sum + val, 0) / trimmedData.length;
-    }
+    const filteredMagnitude = this.trimmedMean(this.accelerationBuffer.map(d => d.magnitude), magnitude);
+    const longitudinalAccel = this.trimmedMean(this.accelerationBuffer.map(d => d.longitudinal), longitudinal);
+    const lateralAccel = this.trimmedMean(this.accelerationBuffer.map(d => d.lateral), lateral);
     
     // Enhanced motion detection with stricter threshold
     if (!this.isMoving && filteredMagnitude > this.motionThreshold * 2) {
@@ -531,9 +1374,6 @@ class SpeedTracker {
       this.stationaryTime += 1;
       if (this.stationaryTime > 50) { // Faster stop detection (0.5s at 100Hz)
         this.isMoving = false;
-        if (this.isRunning) {
-          this.velocity = 0; // Hard stop instead of decay
-        }
       }
     } else if (filteredMagnitude < this.motionThreshold * 0.5) {
       // Even if "moving", very low acceleration should increase stationary count
@@ -543,32 +1383,228 @@ class SpeedTracker {
     }
     
     this.lastValidAcceleration = filteredMagnitude;
+    this.lastValidLongitudinal = longitudinalAccel;
+    this.lastValidLateral = lateralAccel;
     
     return {
       ...data,
       filteredMagnitude: filteredMagnitude,
+      longitudinalAccel: longitudinalAccel,
+      lateralAccel: lateralAccel,
       isMoving: this.isMoving
     };
   }
 
-  handleGPSUpdate(position) {
-    const now = performance.now();
-    this.gpsLastUpdate = now;
+  // Trimmed mean of the last 10 values (falls back to the raw value until the buffer fills)
+  trimmedMean(values, fallback) {
+    if (values.length < 5) return fallback;
+    
+    const recentValues = values.slice(-10).sort((a, b) => a - b);
+    const trimCount = Math.floor(recentValues.length * 0.05);
+    const trimmedData = recentValues.slice(trimCount, -trimCount || undefined);
+    return trimmedData.reduce((sum, val) => sum + val, 0) / trimmedData.length;
+  }
+
+  // === FORWARD AXIS ESTIMATION ===
+  
+  resetForwardAxis() {
+    this.forwardAxis = null;
+    this.axisFit = { x: 0, y: 0, z: 0, weight: 0 };
+    this.axisSampleSum = { x: 0, y: 0, z: 0, count: 0 };
+    this.launchAxisSamples = [];
+    this.pendingAxisSeed = null;
+    this.lastValidLongitudinal = 0;
+    this.lastValidLateral = 0;
+  }
+
+  // Gravity is the difference between the two accelerometer readings; low-pass
+  // filtered so vehicle acceleration doesn't tilt the estimate
+  updateUpDirection(linear, includingGravity) {
+    const gx = includingGravity.x - linear.x;
+    const gy = includingGravity.y - linear.y;
+    const gz = includingGravity.z - linear.z;
+    const length = Math.sqrt(gx ** 2 + gy ** 2 + gz ** 2);
+    if (length < 5) return; // Not a plausible gravity reading
+    
+    const alpha = 0.02;
+    const up = {
+      x: this.upDirection.x + alpha * (gx / length - this.upDirection.x),
+      y: this.upDirection.y + alpha * (gy / length - this.upDirection.y),
+      z: this.upDirection.z + alpha * (gz / length - this.upDirection.z)
+    };
+    const upLength = Math.sqrt(up.x ** 2 + up.y ** 2 + up.z ** 2);
+    this.upDirection = { x: up.x / upLength, y: up.y / upLength, z: up.z / upLength };
+    this.upDirectionKnown = true;
+  }
+
+  // Unit vector pointing to the vehicle's right (forward × up), null until the forward axis is known
+  lateralAxis() {
+    if (!this.forwardAxis) return null;
+    
+    const f = this.forwardAxis;
+    const u = this.upDirection;
+    const right = {
+      x: f.y * u.z - f.z * u.y,
+      y: f.z * u.x - f.x * u.z,
+      z: f.x * u.y - f.y * u.x
+    };
+    const length = Math.sqrt(right.x ** 2 + right.y ** 2 + right.z ** 2);
+    if (length < 0.1) return null; // Forward axis estimate is (nearly) vertical
     
-    // Store GPS accuracy for fusion weighting
-    this.gpsAccuracy = position.coords.accuracy || 20; // meters, default 20 if unavailable
+    return { x: right.x / length, y: right.y / length, z: right.z / length };
+  }
+
+  // Seed the forward axis from the first sustained acceleration out of a standstill.
+  // From rest a car can only accelerate forwards, so the direction is unambiguous.
+  // The seed is held until GPS confirms the speed actually rose: picking the
+  // phone up or a door slam looks the same to the accelerometer.
+  learnForwardAxisFromLaunch(data, magnitude) {
+    if (this.forwardAxis || this.pendingAxisSeed) return;
+    
+    if (magnitude < this.motionThreshold * 2 || this.fusedSpeed > 5) {
+      this.launchAxisSamples = [];
+      return;
+    }
     
-    if (position.coords.speed !== null && position.coords.speed >= 0) {
-      this.gpsSpeed = position.coords.speed; // m/s
-      this.gpsAvailable = true;
+    this.launchAxisSamples.push({ x: data.x, y: data.y, z: data.z });
+    if (this.launchAxisSamples.length < 10) return;
+    
+    const count = this.launchAxisSamples.length;
+    const mean = this.launchAxisSamples.reduce((sum, d) => ({
+      x: sum.x + d.x / count,
+      y: sum.y + d.y / count,
+      z: sum.z + d.z / count
+    }), { x: 0, y: 0, z: 0 });
+    const meanMagnitude = Math.sqrt(mean.x ** 2 + mean.y ** 2 + mean.z ** 2);
+    
+    this.pendingAxisSeed = {
+      mean,
+      magnitude: meanMagnitude,
+      gpsSpeed: this.gpsAvailable ? this.gpsSpeed : 0,
+      timestamp: data.timestamp
+    };
+    this.launchAxisSamples = [];
+  }
+
+  // Accept the pending launch seed once GPS shows a real speed gain, drop it
+  // if none shows up within a few seconds
+  confirmAxisSeed(now) {
+    const seed = this.pendingAxisSeed;
+    if (!seed || this.forwardAxis) return;
+    
+    if (this.gpsSpeed - seed.gpsSpeed > 1.0) {
+      // Treat the launch as one observation of "longitudinal accel = |mean|"
+      this.addAxisObservation(seed.mean, seed.magnitude);
+      this.pendingAxisSeed = null;
+      console.log('Forward axis seeded from launch:', this.forwardAxis);
+    } else if (now - seed.timestamp > 3000) {
+      this.pendingAxisSeed = null;
+    }
+  }
+
+  // Refine the forward axis from the speed change between two GPS fixes.
+  // Only straight-line segments are used: while cornering the GPS speed
+  // change says nothing about the lateral acceleration the phone sees.
+  refineForwardAxisFromGPS(gpsAcceleration) {
+    const samples = this.axisSampleSum;
+    this.axisSampleSum = { x: 0, y: 0, z: 0, count: 0 };
+    
+    if (samples.count < 5) return;
+    if (Math.abs(gpsAcceleration) < 0.7) return; // Too little signal to learn from
+    if (Math.abs(this.gpsHeadingRate) > 5) return; // Cornering
+    if (this.gpsReliabilityScore < 0.5) return;
+    
+    const mean = {
+      x: samples.x / samples.count,
+      y: samples.y / samples.count,
+      z: samples.z / samples.count
+    };
+    this.addAxisObservation(mean, gpsAcceleration);
+  }
+
+  // Least squares fit of deviceAccel = forwardAxis * longitudinalAccel
+  addAxisObservation(meanAccel, longitudinalAccel) {
+    this.axisFit.x += meanAccel.x * longitudinalAccel;
+    this.axisFit.y += meanAccel.y * longitudinalAccel;
+    this.axisFit.z += meanAccel.z * longitudinalAccel;
+    this.axisFit.weight += longitudinalAccel ** 2;
+    
+    const length = Math.sqrt(this.axisFit.x ** 2 + this.axisFit.y ** 2 + this.axisFit.z ** 2);
+    if (length > 0) {
+      const firstAxis = !this.forwardAxis;
+      this.forwardAxis = {
+        x: this.axisFit.x / length,
+        y: this.axisFit.y / length,
+        z: this.axisFit.z / length
+      };
       
-      // === MOVING START DETECTION ===
-      // Collect GPS readings during startup to detect if user opened app while moving
-      if (!this.startupComplete) {
-        this.startupGpsReadings.push({
-          speed: this.gpsSpeed,
-          accuracy: this.gpsAccuracy,
-          timestamp: now
+      // Buffered samples were taken without an axis; project them now so the
+      // filtered values don't dip to 0 as the first axis arrives
+      if (firstAxis) {
+        const lateralAxis = this.lateralAxis();
+        const project = (d, axis) => axis ? d.x * axis.x + d.y * axis.y + d.z * axis.z : 0;
+        this.accelerationBuffer.forEach(d => {
+          d.longitudinal = project(d.raw, this.forwardAxis);
+          d.lateral = project(d.raw, lateralAxis);
+        });
+      }
+    }
+  }
+
+  handleGPSUpdate(position) {
+    if (this.replay && !this.replay.dispatching) return;
+    
+    this.recordEvent({
+      type: 'gps',
+      timestamp: position.timestamp,
+      coords: {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        altitude: position.coords.altitude,
+        accuracy: position.coords.accuracy,
+        altitudeAccuracy: position.coords.altitudeAccuracy,
+        heading: position.coords.heading,
+        speed: position.coords.speed
+      }
+    });
+    
+    const now = this.now();
+    this.gpsLastUpdate = now;
+    
+    if (this.isRunning && !this.suspended) {
+      this.runGpsTrace.push({
+        t: (now - this.runStartTime) / 1000,
+        timestamp: position.timestamp,
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        altitude: position.coords.altitude,
+        accuracy: position.coords.accuracy,
+        speed: position.coords.speed,
+        heading: position.coords.heading
+      });
+    }
+    
+    if (position.coords.altitude !== null && position.coords.altitude !== undefined) {
+      this.gpsAltitude = position.coords.altitude;
+    }
+    
+    // Store GPS accuracy for fusion weighting
+    this.gpsAccuracy = position.coords.accuracy || 20; // meters, default 20 if unavailable
+    
+    const hasSpeed = position.coords.speed !== null && position.coords.speed >= 0;
+    
+    if (hasSpeed) {
+      this.gpsSpeed = position.coords.speed; // m/s
+      this.gpsAvailable = true;
+      this.confirmAxisSeed(now);
+      
+      // === MOVING START DETECTION ===
+      // Collect GPS readings during startup to detect if user opened app while moving
+      if (!this.startupComplete) {
+        this.startupGpsReadings.push({
+          speed: this.gpsSpeed,
+          accuracy: this.gpsAccuracy,
+          timestamp: now
         });
         
         // After 3 GPS readings or 2 seconds, determine if we're moving at start
@@ -590,16 +1626,14 @@ class SpeedTracker {
       }
       this.updateGpsReliability();
       
+      this.updateGpsMotion(position.coords, now);
+      
       // Track consecutive zero speed readings
       if (this.gpsSpeed < 0.3) {
         this.consecutiveZeroGPS++;
       } else {
         this.consecutiveZeroGPS = 0;
       }
-      
-      // === SENSOR FUSION UPDATE ===
-      // When we get a GPS update, fuse it with accelerometer data
-      this.performSensorFusion(now);
     }
     
     if (this.lastGpsPosition && this.isRunning) {
@@ -611,7 +1645,8 @@ class SpeedTracker {
       );
       
       // Accumulate GPS distance
-      if (distance > 0 && distance < 100) { // Sanity check: ignore jumps > 100m
+      // Sanity check: ignore jumps > 100m, and position jitter while standing still
+      if (distance > 0 && distance < 100 && this.gpsSpeed > 0.5) {
         this.gpsDistance += distance;
       }
     }
@@ -620,6 +1655,47 @@ class SpeedTracker {
       coords: position.coords,
       timestamp: now
     };
+    
+    if (hasSpeed) {
+      // === SENSOR FUSION UPDATE ===
+      // When we get a GPS update, fuse it with accelerometer data
+      this.performSensorFusion(now);
+    }
+  }
+  
+  // Track GPS heading rate and acceleration between fixes, then use them
+  // to refine the forward axis
+  updateGpsMotion(coords, now) {
+    const previous = this.lastGpsSpeedSample;
+    this.lastGpsSpeedSample = { speed: this.gpsSpeed, timestamp: now };
+    
+    const heading = coords.heading;
+    const hasHeading = heading !== null && heading !== undefined && !isNaN(heading) && this.gpsSpeed > 2;
+    
+    if (!previous) {
+      this.gpsHeading = hasHeading ? heading : null;
+      return;
+    }
+    
+    const dt = (now - previous.timestamp) / 1000;
+    if (dt <= 0 || dt > 3) {
+      // Gap too long to say anything about the motion in between
+      this.gpsHeading = hasHeading ? heading : null;
+      this.axisSampleSum = { x: 0, y: 0, z: 0, count: 0 };
+      return;
+    }
+    
+    if (hasHeading && this.gpsHeading !== null) {
+      // Wrap the heading change into -180..180
+      const headingChange = ((heading - this.gpsHeading + 540) % 360) - 180;
+      this.gpsHeadingRate = headingChange / dt;
+    } else {
+      this.gpsHeadingRate = 0;
+    }
+    this.gpsHeading = hasHeading ? heading : null;
+    
+    const gpsAcceleration = (this.gpsSpeed - previous.speed) / dt;
+    this.refineForwardAxisFromGPS(gpsAcceleration);
   }
   
   // Detect if user opened app while already moving
@@ -645,14 +1721,13 @@ class SpeedTracker {
       console.log(`Moving start detected! Avg GPS speed: ${(avgSpeed * 2.237).toFixed(1)} mph`);
       
       // Initialize fused speed from GPS instead of 0
-      this.fusedSpeed = avgSpeed;
-      this.velocity = avgSpeed;
-      this.accelIntegratedSpeed = avgSpeed;
+      // Lower uncertainty since GPS is reliable
+      this.kalman.reset(avgSpeed, Math.max(0.25, (this.gpsAccuracy * 0.1) ** 2));
+      this.syncFusionState();
       
       // Skip accelerometer calibration - it would be wrong while moving
       // Trust GPS entirely for initial state
       this.isCalibrated = true;
-      this.speedEstimateUncertainty = this.gpsAccuracy * 0.1; // Lower uncertainty since GPS is reliable
     } else {
       this.wasMovingAtStart = false;
       console.log('Stationary start detected - normal calibration applies');
@@ -685,61 +1760,42 @@ class SpeedTracker {
     }
     
     // Factor 3: Time since last reading (older = less reliable)
-    const timeSinceLast = (performance.now() - this.gpsLastUpdate) / 1000;
+    const timeSinceLast = (this.now() - this.gpsLastUpdate) / 1000;
     if (timeSinceLast > 3) reliability *= 0.5;
     else if (timeSinceLast > 2) reliability *= 0.7;
     
     this.gpsReliabilityScore = Math.max(0.1, Math.min(1.0, reliability));
   }
   
-  // Core sensor fusion algorithm
+  // Core sensor fusion: GPS fixes are measurement updates for the Kalman filter.
+  // The prediction step runs on every accelerometer sample in updateMetrics().
   performSensorFusion(now) {
-    const dt = (now - this.lastFusionTime) / 1000;
-    if (this.lastFusionTime === 0 || dt <= 0) {
-      this.lastFusionTime = now;
-      return;
-    }
-    
-    // === KALMAN-LIKE FUSION ===
-    // We have two estimates:
-    // 1. GPS speed (direct measurement, periodic)
-    // 2. Accelerometer-integrated speed (continuous but drifts)
+    this.lastFusionTime = now;
     
     // GPS measurement uncertainty based on accuracy and reliability
-    const gpsSpeedUncertainty = Math.max(0.5, this.gpsAccuracy * 0.05) / this.gpsReliabilityScore;
-    
-    // Accelerometer uncertainty grows with time since last GPS
-    this.accelSpeedUncertainty += this.accelDriftRate * dt;
-    
-    // Kalman gain: how much to trust GPS vs prediction
-    // Higher gain = trust GPS more
-    const totalUncertainty = this.speedEstimateUncertainty + gpsSpeedUncertainty;
-    const kalmanGain = this.speedEstimateUncertainty / Math.max(totalUncertainty, 0.1);
-    
-    // Update fused speed
-    const innovation = this.gpsSpeed - this.fusedSpeed;
-    this.fusedSpeed += kalmanGain * innovation;
+    const gpsSpeedStdDev = Math.max(0.5, this.gpsAccuracy * 0.05) / this.gpsReliabilityScore;
+    this.kalman.updateSpeed(this.gpsSpeed, gpsSpeedStdDev ** 2);
     
-    // Update uncertainty (reduced by measurement)
-    this.speedEstimateUncertainty = (1 - kalmanGain) * this.speedEstimateUncertainty;
+    // Accumulated GPS distance stops the integrated position drifting.
+    // Fixes lag and jitter, so it is only a loose constraint.
+    if (this.isRunning && this.gpsSpeed > 1 && this.gpsReliabilityScore > 0.5) {
+      this.kalman.updatePosition(this.gpsDistance, Math.max(25, (this.gpsAccuracy * 2) ** 2));
+    }
     
     // === ZERO SPEED ANCHORING ===
-    // If GPS consistently shows very low speed, anchor to zero
+    // GPS consistently showing very low speed is a strong stationary signal
     if (this.consecutiveZeroGPS >= 3 && this.gpsSpeed < 0.5 && this.gpsReliabilityScore > 0.5) {
-      this.fusedSpeed = 0;
-      this.accelIntegratedSpeed = 0;
-      this.speedEstimateUncertainty = 0.5;
-      this.velocity = 0;
+      this.kalman.zeroVelocityUpdate(0.05 ** 2);
     }
     
-    // Sync velocity with fused speed
+    this.syncFusionState();
+  }
+
+  // Mirror the filter state into the fields the rest of the tracker reads
+  syncFusionState() {
+    this.fusedSpeed = this.kalman.speed;
+    this.speedEstimateUncertainty = this.kalman.speedStdDev;
     this.velocity = Math.max(0, this.fusedSpeed);
-    
-    // Reset accelerometer integration anchor to GPS
-    this.accelIntegratedSpeed = this.fusedSpeed;
-    this.accelSpeedUncertainty = gpsSpeedUncertainty; // Reset drift
-    
-    this.lastFusionTime = now;
   }
 
   calculateDistance(lat1, lon1, lat2, lon2) {
@@ -778,19 +1834,12 @@ class SpeedTracker {
     // Cap dt to prevent huge velocity spikes after screen wake
     // If dt > 0.5 seconds, the app was likely backgrounded/screen locked
     if (dt > 0.5) {
-      console.warn(`Large dt detected (${dt.toFixed(2)}s), likely from screen lock. Resetting to GPS.`);
-      // Reset to GPS speed instead of zero if GPS is available
-      if (this.gpsAvailable && this.gpsReliabilityScore > 0.3) {
-        this.velocity = this.gpsSpeed;
-        this.fusedSpeed = this.gpsSpeed;
-        this.accelIntegratedSpeed = this.gpsSpeed;
-      } else {
-      this.velocity = 0;
-        this.fusedSpeed = 0;
-        this.accelIntegratedSpeed = 0;
-      }
-      this.velocityBuffer = [];
-      this.speedEstimateUncertainty = 5; // Reset uncertainty
+      console.warn(`Large dt detected (${dt.toFixed(2)}s), likely from screen lock. Waiting for GPS.`);
+      // Nothing is known about what happened during the gap, so widen the
+      // speed uncertainty and let the next GPS fix pull the estimate back
+      this.kalman.inflateSpeedUncertainty((0.5 * dt) ** 2);
+      this.syncFusionState();
+      this.previousSample = null; // Don't interpolate across the gap
       this.lastTimestamp = timeElapsed;
       return; // Skip this update entirely
     }
@@ -799,6 +1848,7 @@ class SpeedTracker {
     dt = Math.min(dt, 0.1); // Cap at 100ms to prevent spikes
     
     const acceleration = sensorData.filteredMagnitude || 0;
+    const longitudinalAccel = sensorData.longitudinalAccel || 0;
     
     // GPS fusion
     const gpsAge = (sensorData.timestamp - this.gpsLastUpdate) / 1000;
@@ -810,150 +1860,51 @@ class SpeedTracker {
     } else {
       this.stationaryDuration = 0;
     }
-
-    // Rule: If stationary for > 3 seconds AND GPS confirms, force zero and recalibrate
-    if (this.stationaryDuration > 3.0 && (!gpsReliable || this.gpsSpeed < 0.5)) {
-      if (this.velocity > 0) {
-        console.log('Stationary > 3s detected. Forcing zero and recalibrating.');
-      }
-      this.velocity = 0;
-      this.fusedSpeed = 0;
-      this.accelIntegratedSpeed = 0;
-      this.velocityBuffer = [];
-      this.speedEstimateUncertainty = 0.5;
-      
-      // Recalibrate bias while stationary
-      this.recalibrateBias();
-      
-      this.lastTimestamp = timeElapsed;
-      
-      // Update display to 0 immediately
-      this.elements.speedValue.textContent = '0';
-      this.elements.speedSign.classList.remove('moving');
-      return;
-    }
     
-    // === ENHANCED SENSOR FUSION VELOCITY UPDATE ===
-    // Between GPS updates, use accelerometer to refine the estimate
-    
-    // Update accelerometer-integrated speed
-    if (sensorData.isMoving && acceleration > this.motionThreshold) {
-      const velocityChange = acceleration * dt;
-      this.accelIntegratedSpeed += velocityChange;
-      
-      // Increase uncertainty as we integrate without GPS correction
-      this.speedEstimateUncertainty += this.accelDriftRate * dt;
-    }
-    
-    // Determine primary velocity source based on sensor reliability
-    if (gpsReliable) {
-      // GPS is reliable - weight heavily toward GPS
-      // Use accelerometer only for smoothing between GPS updates
-      const gpsWeight = Math.min(0.8, 0.5 + this.gpsReliabilityScore * 0.3);
-      const accelWeight = 1 - gpsWeight;
-      
-      // Blend GPS with accelerometer-refined estimate
-      this.velocity = gpsWeight * this.gpsSpeed + accelWeight * this.accelIntegratedSpeed;
-      this.fusedSpeed = this.velocity;
-      
-      // Clamp accelerometer estimate toward GPS to prevent drift accumulation
-      const accelDrift = Math.abs(this.accelIntegratedSpeed - this.gpsSpeed);
-      if (accelDrift > 2.0) { // If accelerometer drifted more than 2 m/s
-        // Pull accelerometer estimate back toward GPS
-        this.accelIntegratedSpeed = 0.7 * this.accelIntegratedSpeed + 0.3 * this.gpsSpeed;
-      }
+    // === KALMAN PREDICTION ===
+    // Signed longitudinal acceleration: braking reduces the estimate, cornering
+    // and bumps don't add to it. Slow offsets end up in the bias state.
+    // Without a forward axis there is no signed acceleration yet, so the
+    // filter coasts on GPS and the magnitude only widens the speed uncertainty.
+    if (this.forwardAxis) {
+      this.kalman.predict(longitudinalAccel, dt);
     } else {
-      // GPS is stale or unreliable - use accelerometer with caution
-      this.velocity = this.accelIntegratedSpeed;
-      this.fusedSpeed = this.velocity;
-      
-      // Apply velocity decay if no acceleration detected (prevent runaway drift)
-      if (!sensorData.isMoving || acceleration < this.motionThreshold * 0.5) {
-        this.velocity *= 0.98; // Gentle decay
-        this.accelIntegratedSpeed = this.velocity;
-        this.fusedSpeed = this.velocity;
-      }
-    }
-    
-    // === ZERO SPEED ANCHORING ===
-    // Multiple checks to ensure we don't show false speed when stationary
-    
-    // Check 1: GPS says we're stopped
-    if (gpsReliable && this.gpsSpeed < 0.3 && this.consecutiveZeroGPS >= 3) {
-      this.velocity = 0;
-      this.fusedSpeed = 0;
-      this.accelIntegratedSpeed = 0;
-      this.velocityBuffer = [];
-      this.stationaryDuration += dt;
-    }
-    
-    // Check 2: No significant acceleration and low velocity
-    if (!sensorData.isMoving && this.velocity < 2.0) {
-      if (gpsReliable && this.gpsSpeed < 1.0) {
-        this.velocity = 0;
-        this.fusedSpeed = 0;
-        this.accelIntegratedSpeed = 0;
-      } else if (this.velocity < 0.89) {
-        // Tilt rejection threshold: ~2 mph
-        this.velocity = 0;
-        this.fusedSpeed = 0;
-        this.accelIntegratedSpeed = 0;
-      }
+      this.kalman.coast(dt, Math.max(acceleration, this.kalman.accelNoise));
     }
     
-    // Check 3: Periodic distance validation (every 2 seconds)
-    if (timeElapsed - this.lastDriftCheckTime > 2.0 && this.gpsDistance > 0 && this.distance > 5) {
-      const distanceDiff = Math.abs(this.distance - this.gpsDistance);
-      const distanceError = this.distance > 0 ? distanceDiff / this.distance : 0;
-      
-      // If accelerometer distance is more than 20% off from GPS distance
-      if (distanceError > 0.2 && gpsReliable) {
-        const correctionFactor = this.gpsDistance / Math.max(this.distance, 0.1);
-        this.distance = this.gpsDistance; // Snap to GPS distance
-        
-        // Also correct velocity toward GPS
-        if (correctionFactor < 0.8 || correctionFactor > 1.2) {
-          this.velocity = this.gpsSpeed;
-          this.fusedSpeed = this.gpsSpeed;
-          this.accelIntegratedSpeed = this.gpsSpeed;
-        }
-        this.velocityBuffer = [];
-      }
-      
-      this.lastDriftCheckTime = timeElapsed;
-    }
-    
-    // Velocity buffer for smoothing display
-      this.velocityBuffer.push(this.velocity);
-    if (this.velocityBuffer.length > 5) {
-        this.velocityBuffer.shift();
-      }
+    // === ZERO VELOCITY UPDATES ===
+    // Stationary evidence is fused as a speed measurement of 0 instead of
+    // forcing the estimate, so speed and distance never jump
+    if (this.stationaryDuration > 3.0 && (!gpsReliable || this.gpsSpeed < 0.5)) {
+      // Stationary > 3s and GPS agrees: tight constraint
+      this.kalman.zeroVelocityUpdate(0.05 ** 2);
       
-    // Use median for display smoothing
-      if (this.velocityBuffer.length >= 3) {
-        const sortedVelocities = [...this.velocityBuffer].sort((a, b) => a - b);
-        const medianIndex = Math.floor(sortedVelocities.length / 2);
-        this.velocity = sortedVelocities[medianIndex];
+      // Recalibrate bias while stationary
+      this.recalibrateBias();
+    } else if (!sensorData.isMoving && this.fusedSpeed < 2.0 &&
+               (gpsReliable ? this.gpsSpeed < 1.0 : this.fusedSpeed < 0.89)) {
+      // No significant acceleration and low speed (~2 mph tilt rejection without GPS)
+      this.kalman.zeroVelocityUpdate(0.5 ** 2);
     }
     
-    // Prevent unrealistic velocity (sanity check - max ~223 mph / 360 kph)
+    // Guard against filter divergence (max ~223 mph / 360 kph)
     const maxRealisticSpeed = 100; // m/s
-    if (Math.abs(this.velocity) > maxRealisticSpeed) {
-      this.velocity = gpsReliable ? this.gpsSpeed : 0;
+    if (Math.abs(this.kalman.speed) > maxRealisticSpeed) {
+      this.kalman.reset(gpsReliable ? this.gpsSpeed : 0, 25);
     }
     
-    this.velocity = Math.max(0, this.velocity);
-    this.fusedSpeed = this.velocity;
-    this.accelIntegratedSpeed = Math.max(0, this.accelIntegratedSpeed);
+    this.syncFusionState();
+    this.distance = Math.max(0, this.kalman.position);
     
-    // Launch detection
-    if (!this.launchDetected) {
-      this.detectLaunch(acceleration, sensorData.isMoving, timeElapsed);
+    if (this.tree?.phase === 'countdown') {
+      this.checkTreeFoul();
     }
     
-    // Update distance - only when velocity is above threshold
-    if (this.velocity > 0.5) {
-      this.distance += this.velocity * dt;
+    // Launch detection
+    // (magnitude until the forward axis is known; from rest it's all forward)
+    if (!this.launchDetected) {
+      const launchAccel = this.forwardAxis ? longitudinalAccel : acceleration;
+      this.detectLaunch(launchAccel, sensorData.isMoving, timeElapsed);
     }
     
     // Convert to display units
@@ -965,12 +1916,23 @@ class SpeedTracker {
     const currentSpeed = this.isMetric ? speedKph : speedMph;
     this.chartData.push({ 
       time: timeElapsed, 
-      speed: currentSpeed
+      speed: this.velocity,
+      distance: this.distance,
+      accel: longitudinalAccel
     });
     
     // Keep last 30 seconds
     this.chartData = this.chartData.filter(d => d.time > timeElapsed - 30);
     
+    // Trace for the saved run, in SI units
+    this.runTrace.push({
+      t: timeElapsed,
+      speed: this.velocity,
+      distance: this.distance,
+      accel: longitudinalAccel
+    });
+    this.trimRunTraces(timeElapsed);
+    
     this.updateChart();
     
     // Update speed display
@@ -984,25 +1946,21 @@ class SpeedTracker {
     }
     
     // Check metrics
-    this.checkSpeedMetric('0-40kph', speedKph, 40);
-    this.checkSpeedMetric('0-60kph', speedKph, 60);
-    this.checkSpeedMetric('0-80kph', speedKph, 80);
-    this.checkSpeedMetric('0-100kph', speedKph, 100);
-    this.checkSpeedMetric('0-120kph', speedKph, 120);
-    this.checkSpeedMetric('0-200kph', speedKph, 200);
-    this.checkSpeedMetric('0-30mph', speedMph, 30);
-    this.checkSpeedMetric('0-60mph', speedMph, 60);
-    this.checkSpeedMetric('60-100mph', speedMph, 100, 60);
-    this.checkSpeedMetric('0-100mph', speedMph, 100);
-    this.checkSpeedMetric('0-150mph', speedMph, 150);
-    
-    this.checkDistanceMetric('1000m', distanceM, 1000, timeElapsed);
-    this.checkDistanceMetric('1/8mile', distanceM, 201.168, timeElapsed);
-    this.checkDistanceMetric('1/4mile', distanceM, 402.336, timeElapsed);
-    this.checkDistanceMetric('1mile', distanceM, 1609.344, timeElapsed);
+    const sample = { timestamp: sensorData.timestamp, speedKph, distance: distanceM };
+    this.metricDefinitions.speed.forEach(metric => this.checkSpeedMetric(metric, sample));
+    this.metricDefinitions.distance.forEach(metric => this.checkDistanceMetric(metric, sample));
+    if (this.brakingMode) {
+      this.metricDefinitions.braking.forEach(metric => this.checkBrakingMetric(metric, sample, longitudinalAccel));
+    }
+    this.previousSample = sample;
     
     this.lastTimestamp = timeElapsed;
     this.renderMetrics();
+    
+    // A replay starts segments where the recording did, from its 'start' events
+    if (this.autoArm && this.launchDetected && !this.replay) {
+      this.updateSegment(sample);
+    }
   }
 
   recalibrateBias() {
@@ -1053,7 +2011,9 @@ class SpeedTracker {
     if (this.launchAccelerationBuffer.length >= 10) {
       const recentData = this.launchAccelerationBuffer.slice(-10);
       const sustainedAcceleration = recentData.every(d => d.acceleration > 1.5 && d.isMoving);
-      const isAccelerating = this.velocity > 2.0;
+      // Until the forward axis is known speed only follows GPS, up to a fix
+      // behind, so a launch seed waiting for confirmation stands in for it
+      const isAccelerating = this.velocity > 2.0 || (!this.forwardAxis && !!this.pendingAxisSeed);
       
       const longerBuffer = this.launchAccelerationBuffer.filter(
         data => data.timestamp > timeElapsed - 0.5
@@ -1063,84 +2023,261 @@ class SpeedTracker {
       
       if (sustainedAcceleration && isAccelerating && sustainedLaunch) {
         this.launchDetected = true;
-        this.launchTime = performance.now();
+        this.launchTime = this.now();
+        this.renderAutoArmStatus();
+        
+        if (this.tree) {
+          // The car started moving at the beginning of the accelerating stretch
+          let onset = this.launchAccelerationBuffer.length - 1;
+          while (onset > 0 && this.launchAccelerationBuffer[onset - 1].acceleration > 0.5) onset--;
+          this.handleTreeLaunch(this.runStartTime + this.launchAccelerationBuffer[onset].timestamp * 1000);
+        }
       }
     }
   }
 
-  checkSpeedMetric(id, currentSpeed, targetSpeed, fromSpeed = 0) {
-    const metric = this.metricDefinitions.speed.find(m => m.id === id);
-    const achievement = this.runAchievements.speedTargets[id];
+  // === THRESHOLD CROSSINGS ===
+  // Samples arrive every 10-20 ms, so stamping a result at the first sample past
+  // the target adds up to a full sample of latency. Instead the crossing is
+  // placed between the previous and current sample, assuming a linear change.
+  
+  // Fraction (0-1) of the way from the previous to the current sample where key reached target
+  crossingFraction(sample, key, target) {
+    const previous = this.previousSample;
+    if (!previous || sample.timestamp <= previous.timestamp) return 1;
+    
+    const change = sample[key] - previous[key];
+    if (change === 0) return 1;
+    
+    return Math.min(1, Math.max(0, (target - previous[key]) / change));
+  }
+
+  // Interpolated sample at the moment key reached target
+  crossingSample(sample, key, target) {
+    const previous = this.previousSample;
+    const fraction = this.crossingFraction(sample, key, target);
+    if (fraction === 1) return sample;
     
-    if (metric && achievement && !achievement.achieved && currentSpeed >= targetSpeed) {
-      let timeElapsed;
-      if (this.launchDetected && this.launchTime) {
-        timeElapsed = (performance.now() - this.launchTime) / 1000;
-      } else {
-        timeElapsed = (performance.now() - this.runStartTime) / 1000;
+    const lerp = (a, b) => a + (b - a) * fraction;
+    return {
+      timestamp: lerp(previous.timestamp, sample.timestamp),
+      speedKph: lerp(previous.speedKph, sample.speedKph),
+      distance: lerp(previous.distance, sample.distance)
+    };
+  }
+
+  checkSpeedMetric(metric, sample) {
+    const achievement = this.runAchievements.speedTargets[metric.id];
+    
+    if (!achievement || achievement.achieved) return;
+    
+    // Compare in the metric's own unit
+    const factor = METRIC_UNITS[metric.unit].factor;
+    const currentSpeed = sample.speedKph / factor;
+    const targetSpeed = metric.to;
+    const fromSpeed = achievement.fromSpeed;
+    let timeElapsed;
+    if (fromSpeed > 0) {
+      // Rolling interval (e.g. 60-100 mph): timed from crossing fromSpeed
+      if (currentSpeed < fromSpeed) {
+        // Back below the lower speed: re-arm and drop any interval in progress
+        achievement.armed = true;
+        achievement.startTime = null;
+        return;
       }
-      const timeValue = timeElapsed.toFixed(2);
-      
-      achievement.achieved = true;
       
-      const historyEntry = {
-        time: parseFloat(timeValue),
-        timeString: `${timeValue}s`,
-        timestamp: new Date().toISOString(),
-        dateString: new Date().toLocaleString()
-      };
-      
-      metric.history.push(historyEntry);
-      metric.recent = historyEntry.timeString;
+      if (achievement.startTime === null) {
+        // Only start on an actual crossing, not when the run began above fromSpeed
+        if (!achievement.armed) return;
+        achievement.armed = false;
+        achievement.startTime = this.crossingSample(sample, 'speedKph', fromSpeed * factor).timestamp;
+      }
       
-      const sortedHistory = [...metric.history].sort((a, b) => a.time - b.time);
-      metric.best = sortedHistory[0].timeString;
+      if (currentSpeed < targetSpeed) return;
+      const endTime = this.crossingSample(sample, 'speedKph', targetSpeed * factor).timestamp;
+      timeElapsed = (endTime - achievement.startTime) / 1000;
+    } else {
+      if (currentSpeed < targetSpeed) return;
       
-      this.saveMetricHistory();
-      this.playTone(800, 200);
+      const endTime = this.crossingSample(sample, 'speedKph', targetSpeed * factor).timestamp;
+      if (this.launchDetected && this.launchTime) {
+        timeElapsed = (endTime - this.launchTime) / 1000;
+      } else {
+        timeElapsed = (endTime - this.runStartTime) / 1000;
+      }
     }
+    
+    const timeValue = timeElapsed.toFixed(2);
+    
+    achievement.achieved = true;
+    
+    this.recordMetricResult(metric, this.applyCorrection(metric, {
+      time: parseFloat(timeValue),
+      timeString: `${timeValue}s`,
+      timestamp: new Date().toISOString(),
+      dateString: new Date().toLocaleString()
+    }));
+    this.playTone(800, 200);
   }
 
-  checkDistanceMetric(id, currentDistance, targetDistance, timeElapsedFromRunStart) {
-    const metric = this.metricDefinitions.distance.find(m => m.id === id);
+  checkDistanceMetric(metric, sample) {
+    if (!this.runDistanceAchievements[metric.id]) {
+      this.runDistanceAchievements[metric.id] = { achieved: false, startTime: null };
+    }
+    const achievement = this.runDistanceAchievements[metric.id];
+    if (achievement.achieved) return;
     
-    if (!this.runDistanceAchievements) {
-      this.runDistanceAchievements = {};
+    const factor = METRIC_UNITS[metric.unit].factor;
+    
+    // Intervals that don't start at 0 (e.g. 60-330 ft) are timed from crossing the lower distance
+    if (metric.from > 0 && achievement.startTime === null) {
+      if (sample.distance < metric.from * factor) return;
+      achievement.startTime = this.crossingSample(sample, 'distance', metric.from * factor).timestamp;
     }
     
-    if (metric && currentDistance >= targetDistance && !this.runDistanceAchievements[id]) {
-      const speed = this.isMetric ? this.velocity * 3.6 : this.velocity * 2.237;
-      const unit = this.isMetric ? 'km/h' : 'mph';
-      
-      let timeElapsed;
-      if (this.launchDetected && this.launchTime) {
-        timeElapsed = (performance.now() - this.launchTime) / 1000;
-      } else {
-        timeElapsed = timeElapsedFromRunStart;
-      }
-      const timeValue = timeElapsed.toFixed(2);
-      
-      const historyEntry = {
-        time: parseFloat(timeValue),
-        timeString: `${timeValue}s @ ${speed.toFixed(1)}${unit}`,
-        timestamp: new Date().toISOString(),
-        dateString: new Date().toLocaleString()
-      };
-      
-      metric.history.push(historyEntry);
-      metric.recent = historyEntry.timeString;
-      
-      const sortedHistory = [...metric.history].sort((a, b) => a.time - b.time);
-      metric.best = sortedHistory[0].timeString;
-      
-      this.saveMetricHistory();
-      this.playTone(1000, 300);
-      
-      this.runDistanceAchievements[id] = true;
+    if (sample.distance < metric.to * factor) return;
+    
+    // Trap speed at the moment the distance was reached
+    const crossing = this.crossingSample(sample, 'distance', metric.to * factor);
+    const speed = this.isMetric ? crossing.speedKph : crossing.speedKph / METRIC_UNITS.mph.factor;
+    const unit = this.isMetric ? 'km/h' : 'mph';
+    
+    let timeElapsed;
+    if (metric.from > 0) {
+      timeElapsed = (crossing.timestamp - achievement.startTime) / 1000;
+    } else if (this.launchDetected && this.launchTime) {
+      timeElapsed = (crossing.timestamp - this.launchTime) / 1000;
+    } else {
+      timeElapsed = (crossing.timestamp - this.runStartTime) / 1000;
+    }
+    const timeValue = timeElapsed.toFixed(2);
+    
+    this.recordMetricResult(metric, this.applyCorrection(metric, {
+      time: parseFloat(timeValue),
+      timeString: `${timeValue}s @ ${speed.toFixed(1)}${unit}`,
+      trapSpeed: parseFloat(speed.toFixed(1)), // In the unit of timeString
+      timestamp: new Date().toISOString(),
+      dateString: new Date().toLocaleString()
+    }, speed));
+    this.playTone(1000, 300);
+    
+    achievement.achieved = true;
+  }
+
+  // Braking test: arms above the metric's start speed, starts once deceleration
+  // begins, then times and measures from crossing that speed until the car stops
+  checkBrakingMetric(metric, sample, longitudinalAccel) {
+    if (!this.runBrakingState[metric.id]) {
+      this.runBrakingState[metric.id] = { phase: 'idle', releasedAt: null };
+    }
+    const state = this.runBrakingState[metric.id];
+    const now = sample.timestamp;
+    const factor = METRIC_UNITS[metric.unit].factor;
+    const speed = sample.speedKph / factor;
+    const stopSpeedKph = 0.5 * 3.6;
+    
+    // Off the brakes for more than half a second cancels a test in progress
+    if (longitudinalAccel > -this.brakingThreshold / 2) {
+      if (state.releasedAt === null) state.releasedAt = now;
+    } else {
+      state.releasedAt = null;
+    }
+    const released = state.releasedAt !== null && now - state.releasedAt > 500;
+    
+    switch (state.phase) {
+      case 'idle':
+        if (speed > metric.from) {
+          state.phase = 'armed';
+        }
+        break;
+        
+      case 'armed':
+        if (longitudinalAccel < -this.brakingThreshold) {
+          state.phase = 'braking';
+        } else if (speed < metric.from) {
+          state.phase = 'idle'; // Coasted below the start speed without braking
+        }
+        break;
+        
+      case 'braking':
+        if (released) {
+          state.phase = speed > metric.from ? 'armed' : 'idle';
+        } else if (speed <= metric.from) {
+          const start = this.crossingSample(sample, 'speedKph', metric.from * factor);
+          state.phase = 'timing';
+          state.startTime = start.timestamp;
+          state.startDistance = start.distance;
+          state.peakDecel = 0;
+        }
+        break;
+        
+      case 'timing':
+        state.peakDecel = Math.max(state.peakDecel, -longitudinalAccel);
+        
+        if (sample.speedKph < stopSpeedKph) {
+          this.recordBrakingResult(metric, state, this.crossingSample(sample, 'speedKph', stopSpeedKph));
+          state.phase = 'idle'; // Ready for the next stop
+        } else if (released || speed > metric.from) {
+          state.phase = 'idle';
+        }
+        break;
     }
   }
 
+  recordBrakingResult(metric, state, stop) {
+    const time = (stop.timestamp - state.startTime) / 1000;
+    // Fused distance, which the filter keeps anchored to the accumulated GPS distance
+    const distanceM = Math.max(0, stop.distance - state.startDistance);
+    const peakG = state.peakDecel / 9.80665;
+    
+    const imperial = !METRIC_UNITS[metric.unit].isMetric;
+    const distanceValue = imperial ? distanceM / METRIC_UNITS.ft.factor : distanceM;
+    const distanceUnit = imperial ? 'ft' : 'm';
+    
+    this.recordMetricResult(metric, {
+      time: parseFloat(time.toFixed(2)),
+      distance: parseFloat(distanceM.toFixed(2)),
+      peakG: parseFloat(peakG.toFixed(2)),
+      timeString: `${distanceValue.toFixed(1)}${distanceUnit} / ${time.toFixed(2)}s / ${peakG.toFixed(2)}g`,
+      timestamp: new Date().toISOString(),
+      dateString: new Date().toLocaleString()
+    });
+    this.playTone(1000, 300);
+  }
+
+  recordMetricResult(metric, historyEntry) {
+    const grade = this.estimateRoadGrade();
+    if (grade !== null) {
+      historyEntry.grade = parseFloat(grade.toFixed(1));
+    }
+    historyEntry.heading = this.runHeading();
+    historyEntry.quality = this.assessResult(metric, historyEntry);
+    Object.assign(historyEntry, this.treeTimes(metric, historyEntry));
+    
+    metric.history.push(historyEntry);
+    metric.recent = historyEntry.timeString;
+    this.runResults.push({ id: metric.id, label: metric.label, ...historyEntry });
+    
+    if (this.replay) {
+      this.replay.results.push({
+        id: metric.id,
+        label: metric.label,
+        time: historyEntry.time,
+        timeString: historyEntry.timeString,
+        correctedString: historyEntry.correctedString,
+        quality: historyEntry.quality
+      });
+    }
+    
+    metric.best = this.bestEntry(metric.history, this.isBrakingMetric(metric))?.timeString ?? null;
+    
+    this.saveMetricHistory();
+    this.announceResult(metric, historyEntry);
+  }
+
   playTone(frequency, duration) {
+    if (this.replay) return;
+    
     if ('AudioContext' in window || 'webkitAudioContext' in window) {
       const audioContext = new (window.AudioContext || window.webkitAudioContext)();
       const oscillator = audioContext.createOscillator();
@@ -1160,123 +2297,2234 @@ class SpeedTracker {
     }
   }
 
+  // Loads the active vehicle's history into metricDefinitions
+  // Kept in historyReady: until it resolves the metrics are empty, and saving them
+  // would replace the stored history
   loadMetricHistory() {
+    this.historyReady = this.readMetricHistory();
+    return this.historyReady;
+  }
+
+  async readMetricHistory() {
+    this.allMetrics().forEach(metric => {
+      metric.recent = null;
+      metric.best = null;
+      metric.history = [];
+    });
+    
     try {
-      const saved = localStorage.getItem('dragRacingMetricHistory');
-      if (saved) {
-        const data = JSON.parse(saved);
-        
-        data.speed?.forEach(savedMetric => {
-          const metric = this.metricDefinitions.speed.find(m => m.id === savedMetric.id);
-          if (metric) {
-            metric.history = savedMetric.history || [];
-            metric.recent = savedMetric.recent;
-            metric.best = savedMetric.best;
-          }
-        });
-        
-        data.distance?.forEach(savedMetric => {
-          const metric = this.metricDefinitions.distance.find(m => m.id === savedMetric.id);
-          if (metric) {
-            metric.history = savedMetric.history || [];
-            metric.recent = savedMetric.recent;
-            metric.best = savedMetric.best;
-          }
-        });
-      }
+      this.applyMetricHistory(await this.store.getMetricHistory(this.activeVehicleId));
     } catch (error) {
-      console.warn('Error loading metric history:', error);
+      console.warn('Error loading metric history, using localStorage:', error);
+      if (this.activeVehicleId === DEFAULT_VEHICLE_ID) {
+        this.applyMetricHistory(this.store.readLegacyMetricHistory());
+      }
     }
   }
 
-  saveMetricHistory() {
+  applyMetricHistory(records) {
+    records.forEach(savedMetric => {
+      const metric = this.metricDefinitions[savedMetric.category]?.find(m => m.id === savedMetric.id);
+      if (metric) {
+        metric.history = savedMetric.history || [];
+        metric.recent = savedMetric.recent;
+        // Ranked again in case the grade rules changed since it was saved
+        metric.best = this.bestEntry(metric.history, this.isBrakingMetric(metric))?.timeString ?? null;
+      }
+    });
+  }
+
+  async saveMetricHistory() {
+    // Replayed runs must not end up in the user's real history
+    if (this.replay) return;
+    
+    await this.historyReady;
+    const vehicleId = this.activeVehicleId;
+    const records = this.metricHistoryRecords();
     try {
-      const data = {
-        speed: this.metricDefinitions.speed.map(m => ({
-          id: m.id,
-          history: m.history,
-          recent: m.recent,
-          best: m.best
-        })),
-        distance: this.metricDefinitions.distance.map(m => ({
-          id: m.id,
-          history: m.history,
-          recent: m.recent,
-          best: m.best
-        }))
-      };
-      
-      localStorage.setItem('dragRacingMetricHistory', JSON.stringify(data));
+      await this.store.saveMetricHistory(vehicleId, records);
     } catch (error) {
       console.warn('Error saving metric history:', error);
+      // localStorage only ever held a single history, which belongs to the default vehicle
+      if (vehicleId === DEFAULT_VEHICLE_ID) {
+        this.store.writeLegacyMetricHistory(records);
+      }
+    }
+  }
+
+  metricHistoryRecords() {
+    const records = [];
+    Object.keys(this.metricDefinitions).forEach(category => {
+      this.metricDefinitions[category].forEach(m => records.push({
+        id: m.id,
+        category,
+        history: m.history,
+        recent: m.recent,
+        best: m.best
+      }));
+    });
+    return records;
+  }
+
+  // Runs start with the page and may wait for hours, so only a few seconds
+  // from before the car first moves are kept, and MAX_TRACE_SECONDS overall
+  trimRunTraces(t) {
+    if (this.traceActiveFrom === null && (this.launchDetected || this.velocity > 0.5)) {
+      this.traceActiveFrom = t;
     }
+    const keepFrom = this.traceActiveFrom === null
+      ? t - PRE_MOTION_TRACE_SECONDS
+      : Math.max(this.traceActiveFrom - PRE_MOTION_TRACE_SECONDS, t - MAX_TRACE_SECONDS);
+    
+    // Dropped a second at a time rather than shifting on every sample
+    [this.runTrace, this.runGpsTrace].forEach(trace => {
+      if (!trace.length || trace[0].t >= keepFrom - 1) return;
+      const index = trace.findIndex(point => point.t >= keepFrom);
+      trace.splice(0, index === -1 ? trace.length : index);
+    });
+  }
+
+  // A run that never launched and timed nothing
+  isIdleRun() {
+    return !this.launchDetected && this.runResults.length === 0;
   }
 
   saveRun() {
-    // Save current run data
-    const runs = JSON.parse(localStorage.getItem('dragRacingRuns') || '[]');
+    // Nothing worth keeping if no sensor data arrived
+    if (this.replay || this.runTrace.length === 0) return;
+    
+    // Every run is kept with its complete trace; there is no cap
     const runData = {
       timestamp: new Date().toISOString(),
-      metrics: JSON.parse(JSON.stringify(this.metricDefinitions)),
-      chartData: [...this.chartData]
+      startedAt: this.runStartedAt,
+      vehicleId: this.activeVehicleId,
+      duration: this.runTrace.length ? this.runTrace[this.runTrace.length - 1].t - this.runTrace[0].t : 0,
+      isMetric: this.isMetric,
+      launchOffset: this.launchDetected && this.launchTime ? (this.launchTime - this.runStartTime) / 1000 : null,
+      peakLaunchG: parseFloat(this.runPeaks.launch.toFixed(2)),
+      peakBrakingG: parseFloat(this.runPeaks.braking.toFixed(2)),
+      peakLateralG: parseFloat(this.runPeaks.lateral.toFixed(2)),
+      peakPower: this.estimatePowerCurve(this.runTrace)?.peak ?? null,
+      reactionTime: this.tree?.reactionTime ?? null,
+      redLight: this.tree?.redLight ?? false,
+      interrupted: this.runInterruption, // { reason, t (s) } when the page was hidden mid-run
+      results: this.runResults,
+      trace: this.runTrace,
+      gps: this.runGpsTrace
     };
     
-    runs.unshift(runData);
-    if (runs.length > 10) runs.pop();
-    
-    localStorage.setItem('dragRacingRuns', JSON.stringify(runs));
+    this.store.addRun(runData).catch(error => {
+      console.warn('Error saving run:', error);
+    });
   }
 
-  renderMetrics() {
-    const unitKey = this.isMetric ? 'kmh' : 'mph';
-    const currentVisibleMetrics = this.visibleMetrics[unitKey];
+  // === EXPORT ===
+  
+  async renderSavedRuns() {
+    let runs = [];
+    try {
+      runs = await this.store.getRuns();
+    } catch (error) {
+      console.warn('Error loading saved runs:', error);
+    }
     
-    const visibleMetrics = [...this.metricDefinitions.speed, ...this.metricDefinitions.distance]
-      .filter(metric => {
-        // Filter by unit system first
-        const isMetricUnit = metric.label.includes('km/h') || metric.label.includes('1000m');
-        if (this.isMetric !== isMetricUnit) {
-          return false;
-        }
-        
-        // If user has made selections, respect them
-        if (currentVisibleMetrics && currentVisibleMetrics.length > 0) {
-          return currentVisibleMetrics.includes(metric.id);
-        }
-        
-        // Default behavior: show non-conditional metrics or achieved conditional metrics
-        if (metric.conditional && !metric.recent) {
-          return false;
-        }
-        
-        return true;
-      });
+    // Forget selections for runs that no longer exist
+    this.compareSelection = new Set([...this.compareSelection].filter(id => runs.some(run => run.id === id)));
+    this.elements.compareRunsBtn.disabled = this.compareSelection.size < 2;
     
-    this.elements.metricsGrid.innerHTML = visibleMetrics.map(metric => {
-      const hasHistory = metric.history && metric.history.length > 0;
-      const clickHandler = hasHistory ? `onclick="tracker.showHistoryModal('${metric.id}')"` : '';
-      const clickableClass = hasHistory ? 'clickable' : '';
-      
-      return `
-        <div class="metric-card ${metric.recent ? 'achieved' : ''} ${clickableClass}" ${clickHandler}>
-          <div class="metric-label">${metric.label}</div>
-          <div class="metric-recent">${metric.recent || '---'}</div>
-          ${metric.best ? `<div class="metric-best">Best: ${metric.best}</div>` : ''}
-        </div>
-      `;
-    }).join('');
-  }
-
+    if (!runs.length) {
+      this.elements.savedRunList.innerHTML = '<div class="saved-run-empty">No saved runs yet</div>';
+      return;
+    }
+    
+    // Legacy runs have no trace to compare
+    this.elements.savedRunList.innerHTML = runs.map(run => `
+      <div class="metric-checkbox-item">
+        <input
+          type="checkbox"
+          id="run-${run.id}"
+          ${this.compareSelection.has(run.id) ? 'checked' : ''}
+          ${run.trace ? '' : 'disabled'}
+          onchange="tracker.toggleCompareRun(${run.id})"
+        />
+        <label for="run-${run.id}">${this.describeRun(run)}</label>
+        ${run.trace ? `<button class="saved-run-export" onclick="tracker.viewRun(${run.id})">Chart</button>` : ''}
+        <button class="saved-run-export" onclick="tracker.exportRun(${run.id})">Export</button>
+      </div>
+    `).join('');
+  }
+
+  // Markup-safe: names and results from the store or an imported file are escaped
+  describeRun(run) {
+    const date = new Date(run.startedAt || run.timestamp).toLocaleString();
+    const result = run.results?.[0];
+    // Name the car once there is more than one to tell apart
+    const vehicle = this.vehicles.length > 1 ? this.vehicleName(run.vehicleId || DEFAULT_VEHICLE_ID) : null;
+    let label = vehicle ? `${date} · ${this.escapeHtml(vehicle)}` : date;
+    if (run.interrupted) {
+      label += ' · interrupted';
+    }
+    return result ? `${label} · ${this.escapeHtml(result.label)} ${this.escapeHtml(result.timeString)}` : label;
+  }
+
+  async exportRun(id) {
+    try {
+      const run = await this.store.getRun(id);
+      if (!run) return;
+      this.exportRuns(`0to60-run-${this.fileTime(run.startedAt || run.timestamp)}`, [run], null);
+    } catch (error) {
+      console.warn('Error exporting run:', error);
+      alert('Could not export this run.');
+    }
+  }
+
+  async exportAll() {
+    try {
+      const runs = await this.store.getRuns();
+      this.exportRuns(`0to60-history-${this.fileTime(new Date().toISOString())}`, runs, await this.allVehicleHistoryRecords());
+    } catch (error) {
+      console.warn('Error exporting history:', error);
+      alert('Could not export your history.');
+    }
+  }
+
+  // Flat history records tagged with their vehicle. The active vehicle's
+  // history comes from memory, the rest from the store.
+  async allVehicleHistoryRecords() {
+    const stored = await this.store.getAllMetricHistory();
+    const records = this.metricHistoryRecords().map(record => ({ ...record, vehicleId: this.activeVehicleId }));
+    stored
+      .filter(saved => saved.vehicleId !== this.activeVehicleId)
+      .forEach(saved => saved.metrics.forEach(record => records.push({ ...record, vehicleId: saved.vehicleId })));
+    return records;
+  }
+
+  // metricHistory: present for a full backup (history + every run), null for a single run
+  exportRuns(baseName, runs, metricHistory) {
+    const format = this.elements.exportFormat.value;
+    
+    if (format === 'csv') {
+      this.downloadFile(`${baseName}.csv`, this.runsToCsv(runs, metricHistory !== null), 'text/csv');
+      if (metricHistory) {
+        this.downloadFile(`${baseName}-results.csv`, this.historyToCsv(metricHistory), 'text/csv');
+      }
+    } else if (format === 'gpx') {
+      this.downloadFile(`${baseName}.gpx`, this.runsToGpx(runs), 'application/gpx+xml');
+    } else {
+      const backup = {
+        format: '0to60-backup',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        customMetrics: this.customMetrics,
+        vehicles: this.vehicles,
+        metricHistory: metricHistory || [],
+        runs
+      };
+      this.downloadFile(`${baseName}.json`, JSON.stringify(backup), 'application/json');
+    }
+  }
+
+  // === IMPORT ===
+  
+  handleImportFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow the same file to be picked again
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      let backup;
+      try {
+        backup = JSON.parse(reader.result);
+      } catch (error) {
+        alert('This file is not a valid backup.');
+        return;
+      }
+      
+      this.importBackup(backup)
+        .then(summary => alert(`Imported ${summary.results} results and ${summary.runs} runs.`))
+        .catch(error => {
+          console.warn('Could not import backup:', error);
+          alert(`This file is not a valid backup: ${error.message}`);
+        });
+    };
+    reader.readAsText(file);
+  }
+
+  // Throws if the file isn't a backup written by exportRuns()
+  validateBackup(backup) {
+    if (!backup || backup.format !== '0to60-backup') {
+      throw new Error('not a 0to60 backup');
+    }
+    if (backup.version !== 1) {
+      throw new Error(`unsupported backup version ${backup.version}`);
+    }
+    if (!Array.isArray(backup.metricHistory) || !Array.isArray(backup.runs)) {
+      throw new Error('missing metric history or runs');
+    }
+    
+    // Ids end up inside inline onclick handlers, so only plain characters are accepted
+    const isId = id => typeof id === 'string' && /^[a-z0-9./-]+$/.test(id);
+    const isNumber = value => typeof value === 'number' && isFinite(value);
+    const isOptionalNumber = value => value === undefined || value === null || isNumber(value);
+    const isOptionalString = value => value === undefined || typeof value === 'string';
+    
+    const isQuality = quality => quality === undefined || (quality && isNumber(quality.score) &&
+      isNumber(quality.confidence) && Array.isArray(quality.issues) && quality.issues.every(issue => typeof issue === 'string'));
+    const isEntry = entry => entry && isNumber(entry.time) && typeof entry.timeString === 'string' &&
+      !isNaN(Date.parse(entry.timestamp)) && isOptionalString(entry.dateString) && isOptionalString(entry.correctedString) &&
+      ['distance', 'peakG', 'trapSpeed', 'correctedTime', 'grade', 'heading', 'fromGreen', 'reactionTime']
+        .every(key => isOptionalNumber(entry[key])) &&
+      isQuality(entry.quality);
+    const isResult = result => isEntry(result) && isId(result.id) && isOptionalString(result.label);
+    const isPoint = (point, keys) => point && keys.every(key => isOptionalNumber(point[key]));
+    
+    const isTargets = targets => targets === undefined || (targets && typeof targets === 'object' &&
+      Object.entries(targets).every(([id, target]) => isId(id) && typeof target === 'string'));
+    const isVehicle = vehicle => vehicle && isId(vehicle.id) && typeof vehicle.name === 'string' &&
+      ['mass', 'frontalArea', 'dragCoefficient'].every(key => isOptionalNumber(vehicle[key])) && isTargets(vehicle.targets);
+    
+    // Backups from before the garage have no vehicles; their history goes to the active vehicle
+    if (backup.vehicles !== undefined && (!Array.isArray(backup.vehicles) || !backup.vehicles.every(isVehicle))) {
+      throw new Error('invalid vehicles');
+    }
+    
+    (backup.customMetrics || []).forEach(definition => {
+      const unit = METRIC_UNITS[definition?.unit];
+      const unitType = definition?.type === 'braking' ? 'speed' : definition?.type;
+      const range = definition?.type === 'braking'
+        ? definition.from > 0 && definition.to === 0
+        : definition?.from >= 0 && definition.to > definition.from;
+      if (!definition || !isId(definition.id) || !this.metricDefinitions[definition.type] || !unit ||
+          unit.type !== unitType || !isNumber(definition.from) || !isNumber(definition.to) || !range) {
+        throw new Error('invalid custom metric');
+      }
+    });
+    
+    backup.metricHistory.forEach(record => {
+      if (!record || !isId(record.id) || !this.metricDefinitions[record.category] ||
+          (record.vehicleId !== undefined && !isId(record.vehicleId)) ||
+          !Array.isArray(record.history) || !record.history.every(isEntry)) {
+        throw new Error(`invalid history for ${record?.id ?? 'unknown metric'}`);
+      }
+    });
+    
+    const traceKeys = ['t', 'speed', 'distance', 'accel'];
+    const gpsKeys = ['t', 'timestamp', 'latitude', 'longitude', 'altitude', 'accuracy', 'speed', 'heading'];
+    backup.runs.forEach(run => {
+      if (!run || isNaN(Date.parse(run.timestamp)) ||
+          (run.vehicleId !== undefined && !isId(run.vehicleId)) ||
+          (run.results !== undefined && (!Array.isArray(run.results) || !run.results.every(isResult))) ||
+          (run.trace !== undefined && (!Array.isArray(run.trace) || !run.trace.every(point => isPoint(point, traceKeys) && isNumber(point.t)))) ||
+          (run.gps !== undefined && (!Array.isArray(run.gps) || !run.gps.every(point => isPoint(point, gpsKeys))))) {
+        throw new Error('invalid run');
+      }
+    });
+  }
+
+  // Merges a backup into the current history and saved runs, skipping anything already present
+  async importBackup(backup) {
+    this.validateBackup(backup);
+    await this.historyReady;
+    
+    // Custom metrics defined on the other device
+    (backup.customMetrics || []).forEach(definition => {
+      if (!this.allMetrics().some(m => m.id === definition.id)) {
+        const { id, type, from, to, unit } = definition;
+        this.registerCustomMetric({ id, type, from, to, unit, label: this.formatMetricLabel(type, from, to, unit) });
+      }
+    });
+    
+    // Vehicles from the other device, matched by id
+    (backup.vehicles || []).forEach(vehicle => {
+      if (!this.vehicles.some(v => v.id === vehicle.id)) {
+        this.vehicles.push({
+          ...this.createVehicle(vehicle.id, vehicle.name, vehicle),
+          drivetrain: ['fwd', 'rwd', 'awd'].includes(vehicle.drivetrain) ? vehicle.drivetrain : 'rwd',
+          targets: { ...vehicle.targets }
+        });
+      }
+    });
+    this.saveVehicles();
+    
+    // History of the active vehicle is merged in memory, other vehicles' in the store
+    const historyByVehicle = new Map([[this.activeVehicleId, this.metricHistoryRecords()]]);
+    const vehicleHistory = async vehicleId => {
+      if (!historyByVehicle.has(vehicleId)) {
+        historyByVehicle.set(vehicleId, await this.store.getMetricHistory(vehicleId));
+      }
+      return historyByVehicle.get(vehicleId);
+    };
+    
+    const touched = new Set();
+    let addedResults = 0;
+    const merge = async (vehicleId, metricId, entry) => {
+      const category = Object.keys(this.metricDefinitions)
+        .find(key => this.metricDefinitions[key].some(m => m.id === metricId));
+      if (!category || !this.vehicles.some(v => v.id === vehicleId)) return;
+      
+      const records = await vehicleHistory(vehicleId);
+      let record = records.find(r => r.id === metricId);
+      if (!record) {
+        record = { id: metricId, category, history: [], recent: null, best: null };
+        records.push(record);
+      }
+      
+      const isDuplicate = record.history.some(existing =>
+        existing.timestamp === entry.timestamp && existing.timeString === entry.timeString);
+      if (isDuplicate) return;
+      
+      record.history.push(entry);
+      touched.add(record);
+      addedResults++;
+    };
+    
+    for (const record of backup.metricHistory) {
+      for (const entry of record.history) {
+        await merge(record.vehicleId || this.activeVehicleId, record.id, entry);
+      }
+    }
+    
+    // Single-run exports carry their results only on the run
+    for (const run of backup.runs) {
+      for (const { id, label, ...entry } of run.results || []) {
+        await merge(run.vehicleId || this.activeVehicleId, id, entry);
+      }
+    }
+    
+    touched.forEach(record => {
+      const latest = record.history.reduce((a, b) => (Date.parse(b.timestamp) > Date.parse(a.timestamp) ? b : a));
+      record.recent = latest.timeString;
+      record.best = this.bestEntry(record.history, record.category === 'braking')?.timeString ?? null;
+    });
+    
+    for (const [vehicleId, records] of historyByVehicle) {
+      if (vehicleId === this.activeVehicleId) {
+        this.applyMetricHistory(records);
+        this.saveMetricHistory();
+      } else {
+        await this.store.saveMetricHistory(vehicleId, records);
+      }
+    }
+    
+    // Runs are identified by when they were recorded
+    const existing = await this.store.getRuns();
+    const known = new Set(existing.map(run => run.startedAt || run.timestamp));
+    const newRuns = backup.runs
+      .filter(run => {
+        const key = run.startedAt || run.timestamp;
+        if (known.has(key)) return false;
+        known.add(key);
+        return true;
+      })
+      .map(({ id, ...run }) => run);
+    if (newRuns.length) {
+      await this.store.addRuns(newRuns);
+    }
+    
+    this.renderCustomMetrics();
+    this.renderMetricSelection();
+    this.renderSpeechSettings();
+    this.renderGarage();
+    this.renderMetrics();
+    this.renderSavedRuns();
+    
+    return { results: addedResults, runs: newRuns.length };
+  }
+
+  fileTime(isoString) {
+    return isoString.replace(/[:.]/g, '-');
+  }
+
+  // One row per trace sample in the selected units. Legacy runs have no trace and are skipped.
+  runsToCsv(runs, includeRunColumns) {
+    const speedUnit = this.isMetric ? 'kph' : 'mph';
+    const distanceUnit = this.isMetric ? 'm' : 'ft';
+    const header = ['time_s', `speed_${speedUnit}`, `distance_${distanceUnit}`, 'accel_g'];
+    const rows = [(includeRunColumns ? ['run', 'started_at', ...header] : header).join(',')];
+    
+    runs.filter(run => run.trace).forEach(run => {
+      run.trace.forEach(point => {
+        const values = [
+          point.t.toFixed(3),
+          (point.speed * 3.6 / METRIC_UNITS[speedUnit].factor).toFixed(2),
+          (point.distance / METRIC_UNITS[distanceUnit].factor).toFixed(2),
+          (point.accel / 9.81).toFixed(3)
+        ];
+        rows.push((includeRunColumns ? [run.id, run.startedAt || run.timestamp, ...values] : values).join(','));
+      });
+    });
+    
+    return rows.join('\n') + '\n';
+  }
+
+  // One row per history entry of every vehicle, oldest first
+  historyToCsv(records) {
+    const header = ['metric', 'vehicle', 'time_s', 'trap_speed', 'trap_speed_unit', 'distance_m', 'result', 'date'];
+    const entries = records.flatMap(record => record.history.map(entry => ({ record, entry })));
+    entries.sort((a, b) => Date.parse(a.entry.timestamp) - Date.parse(b.entry.timestamp));
+    
+    const rows = [header.join(',')];
+    entries.forEach(({ record, entry }) => {
+      const metric = this.allMetrics().find(m => m.id === record.id);
+      // trapSpeed is in the unit shown in the result, e.g. "12.31s @ 108.2mph"
+      const trapUnit = entry.timeString.match(/@\s*[\d.]+\s*(km\/h|mph)/)?.[1] ?? '';
+      rows.push([
+        metric ? metric.label : record.id,
+        this.vehicleName(record.vehicleId) ?? record.vehicleId,
+        entry.time,
+        entry.trapSpeed ?? '',
+        entry.trapSpeed !== undefined ? trapUnit : '',
+        entry.distance ?? '',
+        entry.timeString,
+        entry.timestamp
+      ].map(value => this.csvField(value)).join(','));
+    });
+    
+    return rows.join('\n') + '\n';
+  }
+
+  // Quotes a CSV value when it contains a separator, quote or line break
+  csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // One track per run, with GPS speed and course in Garmin TrackPointExtension elements
+  runsToGpx(runs) {
+    const tracks = runs.filter(run => run.gps?.length).map(run => {
+      const points = run.gps.map(fix => {
+        const extensions = [];
+        if (fix.speed !== null && fix.speed !== undefined) {
+          extensions.push(`<gpxtpx:speed>${fix.speed.toFixed(2)}</gpxtpx:speed>`);
+        }
+        if (fix.heading !== null && fix.heading !== undefined && !isNaN(fix.heading)) {
+          extensions.push(`<gpxtpx:course>${fix.heading.toFixed(1)}</gpxtpx:course>`);
+        }
+        
+        return `      <trkpt lat="${fix.latitude}" lon="${fix.longitude}">` +
+          (fix.altitude !== null && fix.altitude !== undefined ? `<ele>${fix.altitude.toFixed(1)}</ele>` : '') +
+          `<time>${new Date(fix.timestamp).toISOString()}</time>` +
+          (extensions.length ? `<extensions><gpxtpx:TrackPointExtension>${extensions.join('')}</gpxtpx:TrackPointExtension></extensions>` : '') +
+          '</trkpt>';
+      });
+      
+      return `  <trk>
+    <name>${this.describeRun(run)}</name>
+    <trkseg>
+${points.join('\n')}
+    </trkseg>
+  </trk>`;
+    });
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="0to60" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
+${tracks.join('\n')}
+</gpx>
+`;
+  }
+
+  // === GARAGE ===
+  
+  loadVehicles() {
+    this.vehicles = JSON.parse(localStorage.getItem('vehicles') || '[]');
+    
+    if (this.vehicles.length === 0) {
+      // First run with the garage: existing history and the single vehicle
+      // setting become the default vehicle
+      const legacy = JSON.parse(localStorage.getItem('vehicle') || 'null');
+      this.vehicles = [this.createVehicle(DEFAULT_VEHICLE_ID, 'My Car', legacy)];
+      localStorage.removeItem('vehicle');
+      this.saveVehicles();
+    }
+    
+    const activeId = localStorage.getItem('activeVehicleId');
+    this.activeVehicleId = this.vehicles.some(v => v.id === activeId) ? activeId : this.vehicles[0].id;
+  }
+
+  createVehicle(id, name, values = null) {
+    return {
+      id,
+      name,
+      drivetrain: 'rwd',
+      mass: values?.mass ?? null,
+      frontalArea: values?.frontalArea ?? null,
+      dragCoefficient: values?.dragCoefficient ?? null,
+      targets: {}
+    };
+  }
+
+  saveVehicles() {
+    localStorage.setItem('vehicles', JSON.stringify(this.vehicles));
+  }
+
+  activeVehicle() {
+    return this.vehicles.find(v => v.id === this.activeVehicleId);
+  }
+
+  vehicleName(vehicleId) {
+    return this.vehicles.find(v => v.id === vehicleId)?.name ?? null;
+  }
+
+  // Inputs are shown in the selected unit system, stored in SI
+  renderGarage() {
+    const massFactor = this.isMetric ? 1 : 0.45359237; // lb -> kg
+    const areaFactor = this.isMetric ? 1 : 0.09290304; // ft² -> m²
+    const vehicle = this.activeVehicle();
+    
+    this.elements.vehicleSelect.innerHTML = this.vehicles.map(v => `
+      <option value="${this.escapeHtml(v.id)}" ${v.id === this.activeVehicleId ? 'selected' : ''}>${this.escapeHtml(v.name)}</option>
+    `).join('');
+    this.elements.deleteVehicleBtn.disabled = this.vehicles.length < 2;
+    
+    this.elements.vehicleName.value = vehicle.name;
+    this.elements.vehicleDrivetrain.value = vehicle.drivetrain;
+    this.elements.vehicleMassLabel.textContent = `Mass (${this.isMetric ? 'kg' : 'lb'})`;
+    this.elements.vehicleAreaLabel.textContent = `Frontal area (${this.isMetric ? 'm²' : 'ft²'})`;
+    this.elements.vehicleMass.value = vehicle.mass ? parseFloat((vehicle.mass / massFactor).toFixed(0)) : '';
+    this.elements.vehicleArea.value = vehicle.frontalArea ? parseFloat((vehicle.frontalArea / areaFactor).toFixed(2)) : '';
+    this.elements.vehicleDrag.value = vehicle.dragCoefficient ?? '';
+    this.elements.vehicleError.textContent = '';
+  }
+
+  saveVehicle() {
+    const massFactor = this.isMetric ? 1 : 0.45359237;
+    const areaFactor = this.isMetric ? 1 : 0.09290304;
+    const optional = (input, factor = 1) => (input.value.trim() ? parseFloat(input.value) * factor : null);
+    const mass = optional(this.elements.vehicleMass, massFactor);
+    const area = optional(this.elements.vehicleArea, areaFactor);
+    const drag = optional(this.elements.vehicleDrag);
+    const name = this.elements.vehicleName.value.trim();
+    
+    if (!name) {
+      this.elements.vehicleError.textContent = 'Give the vehicle a name.';
+      return;
+    }
+    
+    if ([mass, area, drag].some(value => value !== null && !(value > 0))) {
+      this.elements.vehicleError.textContent = 'Enter positive numbers for the vehicle values.';
+      return;
+    }
+    
+    Object.assign(this.activeVehicle(), {
+      name,
+      drivetrain: this.elements.vehicleDrivetrain.value,
+      mass,
+      frontalArea: area,
+      dragCoefficient: drag
+    });
+    this.saveVehicles();
+    this.renderGarage();
+    this.updateChart();
+  }
+
+  addVehicle() {
+    const vehicle = this.createVehicle(`vehicle-${Date.now()}`, `Vehicle ${this.vehicles.length + 1}`);
+    this.vehicles.push(vehicle);
+    this.saveVehicles();
+    this.selectVehicle(vehicle.id);
+  }
+
+  deleteVehicle() {
+    const vehicle = this.activeVehicle();
+    if (this.vehicles.length < 2 || this.isRunning) return;
+    if (!confirm(`Delete ${vehicle.name} and its history? Saved runs are kept.`)) return;
+    
+    this.vehicles = this.vehicles.filter(v => v.id !== vehicle.id);
+    this.saveVehicles();
+    this.store.deleteMetricHistory(vehicle.id).catch(error => {
+      console.warn('Error deleting vehicle history:', error);
+    });
+    this.selectVehicle(this.vehicles[0].id);
+  }
+
+  // Switches history, bests and targets to another vehicle
+  async selectVehicle(vehicleId) {
+    if (this.isRunning) {
+      // The run in progress belongs to the vehicle it was started with
+      alert('Stop the current run before switching vehicles.');
+      this.renderGarage();
+      return;
+    }
+    
+    this.activeVehicleId = vehicleId;
+    localStorage.setItem('activeVehicleId', vehicleId);
+    this.renderGarage();
+    
+    await this.loadMetricHistory();
+    this.renderMetrics();
+    this.updateChart();
+  }
+
+  setMetricTarget(metricId, value) {
+    const vehicle = this.activeVehicle();
+    const target = value.trim();
+    
+    if (target) {
+      vehicle.targets[metricId] = target;
+    } else {
+      delete vehicle.targets[metricId];
+    }
+    this.saveVehicles();
+    this.renderMetrics();
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // === WEATHER CORRECTION ===
+  
+  // SAE J1349 correction factor for the entered weather at the current GPS
+  // altitude, or null until weather has been entered.
+  // CF = 1.18 · (990 / Pd) · √((T + 273) / 298) − 0.18, Pd = dry air pressure in hPa
+  correctionFactor() {
+    const weather = this.weather;
+    if (!weather) return null;
+    
+    // Reported pressure is reduced to sea level; bring it back to the station's altitude
+    const altitude = this.gpsAltitude ?? 0;
+    const stationPressure = weather.pressure * Math.pow(1 - 0.0065 * altitude / 288.15, 5.25588);
+    
+    // Magnus approximation for the saturation vapour pressure (hPa)
+    const vapourPressure = (weather.humidity / 100) *
+      6.1094 * Math.exp(17.625 * weather.temperature / (weather.temperature + 243.04));
+    const dryPressure = stationPressure - vapourPressure;
+    
+    return 1.18 * (990 / dryPressure) * Math.sqrt((weather.temperature + 273) / 298) - 0.18;
+  }
+
+  // Adds the corrected figures to a new history entry. Acceleration times scale
+  // with 1/CF (time to a speed at constant power), elapsed times and trap speeds
+  // over a distance with the cube root, as at drag strips. Braking isn't corrected.
+  applyCorrection(metric, entry, trapSpeed = null) {
+    const factor = this.correctionFactor();
+    if (factor === null || this.isBrakingMetric(metric)) return entry;
+    
+    entry.correctionFactor = parseFloat(factor.toFixed(4));
+    
+    if (this.metricDefinitions.speed.includes(metric)) {
+      entry.correctedTime = parseFloat((entry.time / factor).toFixed(2));
+      entry.correctedString = `${entry.correctedTime.toFixed(2)}s`;
+    } else {
+      const scale = Math.cbrt(factor);
+      entry.correctedTime = parseFloat((entry.time / scale).toFixed(2));
+      entry.correctedString = `${entry.correctedTime.toFixed(2)}s @ ${(trapSpeed * scale).toFixed(1)}${this.isMetric ? 'km/h' : 'mph'}`;
+    }
+    return entry;
+  }
+
+  // Inputs in °F / inHg or °C / hPa depending on the unit system
+  renderWeather() {
+    const weather = this.weather;
+    
+    this.elements.weatherTemperatureLabel.textContent = `Temperature (${this.isMetric ? '°C' : '°F'})`;
+    this.elements.weatherPressureLabel.textContent = `Pressure (${this.isMetric ? 'hPa' : 'inHg'})`;
+    this.elements.weatherTemperature.value = weather
+      ? parseFloat((this.isMetric ? weather.temperature : weather.temperature * 9 / 5 + 32).toFixed(1))
+      : '';
+    this.elements.weatherHumidity.value = weather ? weather.humidity : '';
+    this.elements.weatherPressure.value = weather
+      ? parseFloat((this.isMetric ? weather.pressure : weather.pressure / 33.8639).toFixed(2))
+      : '';
+    this.elements.weatherError.textContent = '';
+    this.renderCorrectionStatus();
+  }
+
+  renderCorrectionStatus() {
+    const factor = this.correctionFactor();
+    
+    let altitude = 'no GPS altitude, assuming sea level';
+    if (this.gpsAltitude !== null) {
+      altitude = this.isMetric
+        ? `${Math.round(this.gpsAltitude)} m GPS altitude`
+        : `${Math.round(this.gpsAltitude / METRIC_UNITS.ft.factor)} ft GPS altitude`;
+    }
+    
+    this.elements.correctionStatus.textContent = factor === null
+      ? 'Enter the weather to show SAE corrected results.'
+      : `Correction factor ${factor.toFixed(3)} (${altitude})`;
+  }
+
+  saveWeather() {
+    const inputs = [this.elements.weatherTemperature, this.elements.weatherHumidity, this.elements.weatherPressure];
+    
+    // Clearing every field turns correction off
+    if (inputs.every(input => !input.value.trim())) {
+      this.weather = null;
+      localStorage.removeItem('weather');
+      this.renderWeather();
+      return;
+    }
+    
+    const [temperature, humidity, pressure] = inputs.map(input => parseFloat(input.value));
+    const weather = {
+      temperature: this.isMetric ? temperature : (temperature - 32) * 5 / 9,
+      humidity,
+      pressure: this.isMetric ? pressure : pressure * 33.8639
+    };
+    
+    if (!isFinite(weather.temperature) || weather.temperature < -40 || weather.temperature > 60 ||
+        !(humidity >= 0 && humidity <= 100) ||
+        !(weather.pressure >= 800 && weather.pressure <= 1100)) {
+      this.elements.weatherError.textContent = 'Enter temperature, humidity (0-100%) and sea-level pressure.';
+      return;
+    }
+    
+    weather.temperature = parseFloat(weather.temperature.toFixed(2));
+    weather.pressure = parseFloat(weather.pressure.toFixed(2));
+    this.weather = weather;
+    localStorage.setItem('weather', JSON.stringify(weather));
+    this.renderWeather();
+  }
+
+  // Most recent entry, matching metric.recent
+  latestEntry(metric) {
+    if (!metric.history.length) return null;
+    return metric.history.reduce((a, b) => (Date.parse(b.timestamp) > Date.parse(a.timestamp) ? b : a));
+  }
+
+  // === ROAD GRADE ===
+  
+  // Average slope (%) for a new result, positive uphill. GPS altitude over the
+  // distance covered is the main source; the gravity direction captured during
+  // calibration, taken along the learned forward axis, fills in for short runs
+  // where the altitude change is lost in GPS noise.
+  estimateRoadGrade() {
+    const gpsGrade = this.gpsRoadGrade();
+    const calibrationGrade = this.calibrationRoadGrade();
+    
+    if (gpsGrade === null) return calibrationGrade;
+    if (calibrationGrade === null) return gpsGrade.grade;
+    
+    const weight = Math.min(1, gpsGrade.span / 200);
+    return weight * gpsGrade.grade + (1 - weight) * calibrationGrade;
+  }
+
+  // Least-squares slope of GPS altitude against fused distance over the last 400 m.
+  // Returns { grade (%), span (m) } or null without enough altitude fixes.
+  gpsRoadGrade() {
+    // Fixes are in time order, so one pass over the run trace covers them all
+    const distanceAt = this.traceInterpolator(this.runTrace, 't', 'distance');
+    const points = this.runGpsTrace
+      .filter(fix => fix.altitude !== null && fix.altitude !== undefined)
+      .map(fix => ({ distance: distanceAt(fix.t), altitude: fix.altitude }))
+      .filter(point => point.distance !== null);
+    if (points.length < 3) return null;
+    
+    const end = points[points.length - 1].distance;
+    const window = points.filter(point => point.distance >= end - 400);
+    const span = end - window[0].distance;
+    if (window.length < 3 || span < 30) return null;
+    
+    const meanDistance = window.reduce((sum, p) => sum + p.distance, 0) / window.length;
+    const meanAltitude = window.reduce((sum, p) => sum + p.altitude, 0) / window.length;
+    let covariance = 0;
+    let variance = 0;
+    window.forEach(p => {
+      covariance += (p.distance - meanDistance) * (p.altitude - meanAltitude);
+      variance += (p.distance - meanDistance) ** 2;
+    });
+    
+    return { grade: (covariance / variance) * 100, span };
+  }
+
+  // The car's nose points uphill when the forward axis leans towards "up"
+  calibrationRoadGrade() {
+    if (!this.calibrationUp || !this.forwardAxis) return null;
+    
+    const u = this.calibrationUp;
+    const f = this.forwardAxis;
+    const sine = Math.max(-1, Math.min(1, u.x * f.x + u.y * f.y + u.z * f.z));
+    return Math.tan(Math.asin(sine)) * 100;
+  }
+
+  // Direction of travel from the last GPS fix of the run that had a heading
+  runHeading() {
+    for (let i = this.runGpsTrace.length - 1; i >= 0; i--) {
+      const { heading, speed } = this.runGpsTrace[i];
+      if (heading !== null && heading !== undefined && !isNaN(heading) && speed > 2) return heading;
+    }
+    return null;
+  }
+
+  isSteep(entry) {
+    return entry.grade !== undefined && entry.grade !== null && Math.abs(entry.grade) > this.maxGrade;
+  }
+
+  // The nearest-in-time result for the same metric in the opposite direction,
+  // within an hour, or null. Averaging the two cancels out the slope (and wind).
+  returnRun(metric, entry) {
+    if (entry.heading === undefined || entry.heading === null) return null;
+    
+    let match = null;
+    let matchGap = Infinity;
+    metric.history.forEach(other => {
+      if (other === entry || other.heading === undefined || other.heading === null) return;
+      
+      const headingDifference = Math.abs(((other.heading - entry.heading + 540) % 360) - 180);
+      const gap = Math.abs(Date.parse(other.timestamp) - Date.parse(entry.timestamp));
+      if (headingDifference > 150 && gap < 3600000 && gap < matchGap) {
+        match = other;
+        matchGap = gap;
+      }
+    });
+    return match;
+  }
+
+  // Slope, steep and one-way flags and the two-way average for the history modal
+  gradeLine(metric, entry) {
+    if (entry.grade === undefined || entry.grade === null) return '';
+    
+    const parts = [`Grade ${entry.grade > 0 ? '+' : ''}${entry.grade.toFixed(1)}%`];
+    if (this.isSteep(entry)) {
+      parts.push(this.excludeSteepRuns ? 'too steep, not counted' : 'too steep');
+    }
+    
+    const partner = this.returnRun(metric, entry);
+    if (partner) {
+      if (this.isBrakingMetric(metric)) {
+        const imperial = !METRIC_UNITS[metric.unit].isMetric;
+        const distance = (entry.distance + partner.distance) / 2;
+        parts.push(`2-way avg ${(imperial ? distance / METRIC_UNITS.ft.factor : distance).toFixed(1)}${imperial ? 'ft' : 'm'}`);
+      } else {
+        parts.push(`2-way avg ${((entry.time + partner.time) / 2).toFixed(2)}s`);
+      }
+    } else if (Math.abs(entry.grade) >= ONE_WAY_GRADE) {
+      parts.push('one way, repeat in the opposite direction');
+    }
+    
+    const flagged = this.isSteep(entry) || (!partner && Math.abs(entry.grade) >= ONE_WAY_GRADE);
+    return `<div class="history-grade ${flagged ? 'flagged' : ''}">${parts.join(' · ')}</div>`;
+  }
+
+  renderGradeSettings() {
+    this.elements.maxGrade.value = this.maxGrade;
+    this.elements.excludeSteepToggle.classList.toggle('active', this.excludeSteepRuns);
+    this.elements.gradeError.textContent = '';
+  }
+
+  saveMaxGrade() {
+    const maxGrade = parseFloat(this.elements.maxGrade.value);
+    if (!(maxGrade > 0 && maxGrade <= 20)) {
+      this.elements.gradeError.textContent = 'Enter a grade between 0 and 20%.';
+      return;
+    }
+    
+    this.maxGrade = maxGrade;
+    localStorage.setItem('maxGrade', maxGrade);
+    this.renderGradeSettings();
+    this.refreshBests();
+  }
+
+  toggleExcludeSteep() {
+    this.excludeSteepRuns = !this.excludeSteepRuns;
+    localStorage.setItem('excludeSteepRuns', this.excludeSteepRuns);
+    this.renderGradeSettings();
+    this.refreshBests();
+  }
+
+  // Re-ranks the active vehicle's history after the rules for a best change
+  refreshBests() {
+    this.allMetrics().forEach(metric => {
+      metric.best = this.bestEntry(metric.history, this.isBrakingMetric(metric))?.timeString ?? null;
+    });
+    this.saveMetricHistory();
+    this.renderMetrics();
+  }
+
+  // === RESULT QUALITY ===
+  
+  // Rates a result from the sensor data over its interval. Returns
+  // { score (0-100), confidence (± s), suspect, issues: [string] }.
+  // Suspect results are shown but never count as a best.
+  assessResult(metric, entry) {
+    const issues = [];
+    let score = 100;
+    let suspect = false;
+    const flag = (penalty, issue, isSuspect = false) => {
+      score -= penalty;
+      issues.push(issue);
+      suspect = suspect || isSuspect;
+    };
+    
+    // Interval of the result in run time, with a second before it for the fix leading in
+    const end = this.runTrace.length ? this.runTrace[this.runTrace.length - 1].t : 0;
+    const start = end - entry.time;
+    
+    // GPS accuracy, update rate over the run and gaps between fixes
+    const fixes = this.runGpsTrace.filter(fix => fix.t >= start - 1 && fix.t <= end);
+    const runFixes = this.runGpsTrace.length;
+    const meanFixInterval = runFixes > 1
+      ? (this.runGpsTrace[runFixes - 1].t - this.runGpsTrace[0].t) / (runFixes - 1)
+      : null;
+    const accuracy = fixes.length
+      ? fixes.reduce((sum, fix) => sum + (fix.accuracy || 20), 0) / fixes.length
+      : null;
+    const fixTimes = [start, ...fixes.map(fix => fix.t).filter(t => t > start), end];
+    const maxGap = Math.max(...fixTimes.slice(1).map((t, i) => t - fixTimes[i]));
+    
+    if (accuracy === null) {
+      flag(30, 'no GPS during the run', true);
+    } else if (accuracy > 25) {
+      flag(30, `GPS accuracy ±${Math.round(accuracy)}m`, true);
+    } else if (accuracy > 10) {
+      flag(15, `GPS accuracy ±${Math.round(accuracy)}m`);
+    }
+    if (meanFixInterval !== null && meanFixInterval > 1.5) {
+      flag(10, `GPS ${(1 / meanFixInterval).toFixed(1)}Hz`);
+    }
+    if (accuracy !== null && maxGap > 2) {
+      flag(maxGap > 4 ? 30 : 15, `GPS gap of ${maxGap.toFixed(1)}s`, maxGap > 4);
+    }
+    
+    // Accelerometer rate, which also sets how finely crossings are timed
+    const samples = this.runTrace.filter(sample => sample.t >= start && sample.t <= end).length;
+    const sampleRate = entry.time > 0 ? samples / entry.time : 0;
+    if (sampleRate < 10) {
+      flag(30, `accelerometer ${Math.round(sampleRate)}Hz`, true);
+    } else if (sampleRate < 30) {
+      flag(10, `accelerometer ${Math.round(sampleRate)}Hz`);
+    }
+    
+    // Fused speed uncertainty at the end of the interval
+    const speedUncertainty = this.speedEstimateUncertainty;
+    if (speedUncertainty > 2.5) {
+      flag(30, `speed uncertain ±${speedUncertainty.toFixed(1)}m/s`, true);
+    } else if (speedUncertainty > 1) {
+      flag(15, `speed uncertain ±${speedUncertainty.toFixed(1)}m/s`);
+    }
+    
+    // A moving start has no standstill to time a 0-X interval from
+    if (this.wasMovingAtStart) {
+      const fromRest = metric.from === 0 && !this.isBrakingMetric(metric);
+      flag(fromRest ? 30 : 10, 'moving start', fromRest);
+    }
+    
+    // Average acceleration beyond what road tyres can deliver means a glitch
+    const factor = METRIC_UNITS[metric.unit].factor;
+    let averageAccel;
+    if (this.isBrakingMetric(metric)) {
+      averageAccel = (metric.from * factor / 3.6) ** 2 / (2 * Math.max(entry.distance, 0.1));
+    } else if (this.metricDefinitions.speed.includes(metric)) {
+      averageAccel = (metric.to - metric.from) * factor / 3.6 / entry.time;
+    } else {
+      averageAccel = 2 * (metric.to - metric.from) * factor / entry.time ** 2;
+    }
+    if (averageAccel > MAX_AVERAGE_ACCEL) {
+      flag(50, `implausible ${(averageAccel / GRAVITY).toFixed(1)}g average`, true);
+    }
+    
+    // ± time: half a sample period, plus the fused speed (or position) error
+    // turned into time at the interval's average acceleration (or final speed)
+    const sampleError = sampleRate > 0 ? 0.5 / sampleRate : 0.5;
+    const fusionError = this.metricDefinitions.distance.includes(metric)
+      ? this.kalman.positionStdDev / Math.max(this.velocity, 1)
+      : speedUncertainty / Math.max(averageAccel, 0.5);
+    
+    score = Math.max(0, Math.min(100, Math.round(score)));
+    return {
+      score,
+      confidence: parseFloat(Math.max(0.01, Math.sqrt(sampleError ** 2 + fusionError ** 2)).toFixed(2)),
+      suspect: suspect || score < 50,
+      issues
+    };
+  }
+
+  // Verified/suspect badge with the ± figure, '' for results recorded before quality was assessed
+  qualityBadge(entry, detailed = false) {
+    const quality = entry.quality;
+    if (!quality) return '';
+    
+    const status = quality.suspect ? 'Suspect' : 'Verified';
+    const details = detailed
+      ? [`${quality.score}/100`, ...quality.issues.map(issue => this.escapeHtml(issue))]
+      : [];
+    return `<div class="quality-badge ${quality.suspect ? 'suspect' : 'verified'}">${[`${status} ±${quality.confidence.toFixed(2)}s`, ...details].join(' · ')}</div>`;
+  }
+
+  // === CHRISTMAS TREE ===
+  
+  // Sportsman (full) tree: three ambers half a second apart, green half a
+  // second after the last. Staging starts a fresh run from the standstill.
+  async stageTree() {
+    if (this.replay || this.tree?.phase === 'countdown') return;
+    if (this.velocity > 0.5) {
+      this.elements.treeReadout.textContent = 'Stop the car to stage';
+      return;
+    }
+    
+    if (this.isRunning) {
+      // Waiting around before staging isn't worth keeping
+      if (!this.isIdleRun()) this.saveRun();
+      this.beginRun();
+    } else {
+      await this.startRun();
+      if (!this.isRunning) return;
+    }
+    
+    this.startTreeCountdown();
+    
+    // Random delay before the first amber so the start can't be anticipated
+    const delay = 1000 + Math.random() * 1500;
+    [0, 1, 2].forEach(index => {
+      this.tree.timers.push(setTimeout(() => this.showTreeAmber(index + 1), delay + index * 500));
+    });
+    this.tree.timers.push(setTimeout(() => this.showTreeGreen(), delay + 1500));
+  }
+
+  // Also replayed from the recording's 'tree' events, without the timers
+  startTreeCountdown() {
+    this.tree = {
+      phase: 'countdown',
+      ambers: 0,
+      greenTime: null,
+      reactionTime: null,
+      redLight: false,
+      timers: []
+    };
+    this.recordEvent({ type: 'tree', phase: 'staged' });
+    this.renderTree('Staged');
+  }
+
+  showTreeAmber(count) {
+    this.tree.ambers = count;
+    this.playTone(600, 150);
+    this.renderTree();
+  }
+
+  showTreeGreen() {
+    this.tree.phase = 'green';
+    this.tree.greenTime = this.now();
+    this.recordEvent({ type: 'tree', phase: 'green' });
+    this.playTone(1200, 500);
+    this.renderTree('Go!');
+  }
+
+  // Called for every sample while the tree is counting down
+  checkTreeFoul() {
+    if (this.velocity > 0.5) {
+      this.treeRedLight(null);
+    }
+  }
+
+  // Reaction time runs from green to the start of the acceleration that detectLaunch confirmed
+  handleTreeLaunch(onsetTime) {
+    if (this.tree.phase === 'countdown') {
+      this.treeRedLight(null);
+      return;
+    }
+    if (this.tree.phase !== 'green') return;
+    
+    const reactionTime = (onsetTime - this.tree.greenTime) / 1000;
+    if (reactionTime < 0) {
+      this.treeRedLight(reactionTime);
+      return;
+    }
+    
+    this.tree.reactionTime = parseFloat(reactionTime.toFixed(3));
+    this.tree.phase = 'done';
+    this.renderTree(`Reaction ${reactionTime.toFixed(3)}s`);
+  }
+
+  treeRedLight(reactionTime) {
+    const tree = this.tree;
+    tree.timers.forEach(timer => clearTimeout(timer));
+    tree.timers = [];
+    tree.redLight = true;
+    tree.reactionTime = reactionTime === null ? null : parseFloat(reactionTime.toFixed(3));
+    tree.phase = 'done';
+    
+    this.playTone(300, 600);
+    this.renderTree(reactionTime === null ? 'Red light' : `Red light ${reactionTime.toFixed(3)}s`);
+  }
+
+  cancelTree() {
+    if (!this.tree) return;
+    
+    this.tree.timers.forEach(timer => clearTimeout(timer));
+    this.tree = null;
+    this.renderTree('');
+  }
+
+  renderTree(readout) {
+    const tree = this.tree;
+    const ambers = tree ? tree.ambers : 0;
+    
+    this.elements.treeAmbers.forEach((lamp, index) => lamp.classList.toggle('lit', index < ambers));
+    this.elements.treeGreen.classList.toggle('lit', !!tree && !tree.redLight && tree.greenTime !== null);
+    this.elements.treeRed.classList.toggle('lit', !!tree && tree.redLight);
+    this.elements.treeStageBtn.disabled = tree?.phase === 'countdown';
+    
+    if (readout !== undefined) {
+      this.elements.treeReadout.textContent = readout;
+    }
+  }
+
+  toggleTreeStart() {
+    this.treeStart = !this.treeStart;
+    localStorage.setItem('treeStart', this.treeStart);
+    this.elements.treeToggle.classList.toggle('active', this.treeStart);
+    this.elements.treeSection.classList.toggle('hidden', !this.treeStart);
+    if (!this.treeStart) {
+      this.cancelTree();
+    }
+  }
+
+  // Reaction time and the time counted from green for a result timed from the
+  // start of a tree run. Results are otherwise timed from the detected launch.
+  treeTimes(metric, entry) {
+    const tree = this.tree;
+    if (!tree || metric.from !== 0 || this.isBrakingMetric(metric)) return {};
+    if (tree.greenTime === null) return { redLight: tree.redLight };
+    
+    const reference = this.launchDetected && this.launchTime ? this.launchTime : this.runStartTime;
+    return {
+      redLight: tree.redLight,
+      reactionTime: tree.reactionTime,
+      fromGreen: parseFloat((entry.time + (reference - tree.greenTime) / 1000).toFixed(2))
+    };
+  }
+
+  treeLine(entry) {
+    if (entry.redLight) {
+      const reaction = typeof entry.reactionTime === 'number' ? ` ${entry.reactionTime.toFixed(3)}s` : '';
+      return `<div class="history-tree red-light">Red light${reaction}</div>`;
+    }
+    if (entry.fromGreen === undefined) return '';
+    
+    const reaction = typeof entry.reactionTime === 'number' ? ` · reaction ${entry.reactionTime.toFixed(3)}s` : '';
+    return `<div class="history-tree">From green ${entry.fromGreen.toFixed(2)}s${reaction}</div>`;
+  }
+
+  // === VOICE CALL-OUTS ===
+  
+  // Speaks a new result, e.g. "zero to sixty, four point two one" or
+  // "quarter mile, twelve point three at one-oh-eight"
+  announceResult(metric, entry) {
+    const speech = this.speech;
+    if (!speech.enabled || this.replay || !('speechSynthesis' in window)) return;
+    if (speech.muted.includes(metric.id)) return;
+    
+    this.speak(this.announcementText(metric, entry));
+  }
+
+  speak(text) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.volume = this.speech.volume;
+    const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === this.speech.voiceURI);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+    window.speechSynthesis.speak(utterance);
+  }
+
+  announcementText(metric, entry) {
+    const label = this.spokenLabel(metric);
+    
+    if (this.isBrakingMetric(metric)) {
+      const imperial = !METRIC_UNITS[metric.unit].isMetric;
+      const distance = imperial ? entry.distance / METRIC_UNITS.ft.factor : entry.distance;
+      return `${label}, ${this.spokenNumber(Math.round(distance))} ${imperial ? 'feet' : 'meters'}`;
+    }
+    
+    // Long elapsed times are called to a tenth, like a time slip read out loud
+    const time = entry.time >= 10 ? entry.time.toFixed(1) : entry.time.toFixed(2);
+    let text = `${label}, ${this.spokenDecimal(time)}`;
+    if (entry.trapSpeed !== undefined) {
+      text += ` at ${this.spokenSpeed(Math.round(entry.trapSpeed))}`;
+    }
+    if (entry.quality?.suspect) {
+      text += ', suspect';
+    }
+    return text;
+  }
+
+  spokenLabel(metric) {
+    if (metric.unit === 'mile' && metric.from === 0) {
+      const fractions = { 0.125: 'eighth mile', 0.25: 'quarter mile', 0.5: 'half mile', 1: 'one mile' };
+      if (fractions[metric.to]) return fractions[metric.to];
+    }
+    
+    const range = metric.from === 0 && !this.isBrakingMetric(metric)
+      ? `zero to ${this.spokenNumber(metric.to)}`
+      : `${this.spokenNumber(metric.from)} to ${this.spokenNumber(metric.to)}`;
+    
+    // Speeds are understood without a unit; distances aren't
+    const units = { m: 'meters', ft: 'feet', mile: 'miles' };
+    return units[metric.unit] ? `${range} ${units[metric.unit]}` : range;
+  }
+
+  // "4.21" -> "four point two one"
+  spokenDecimal(text) {
+    const [whole, fraction] = text.split('.');
+    const digits = fraction ? fraction.split('').map(d => this.spokenNumber(Number(d))).join(' ') : '';
+    return digits ? `${this.spokenNumber(Number(whole))} point ${digits}` : this.spokenNumber(Number(whole));
+  }
+
+  // Trap speeds the way they're called at the strip: 108 -> "one-oh-eight", 125 -> "one twenty-five"
+  spokenSpeed(speed) {
+    if (speed < 100 || speed > 999) return this.spokenNumber(speed);
+    
+    const hundreds = this.spokenNumber(Math.floor(speed / 100));
+    const rest = speed % 100;
+    if (rest === 0) return `${hundreds} hundred`;
+    if (rest < 10) return `${hundreds}-oh-${this.spokenNumber(rest)}`;
+    return `${hundreds} ${this.spokenNumber(rest)}`;
+  }
+
+  // Whole numbers up to 9999 in words; anything else is left to the speech engine
+  spokenNumber(value) {
+    const ones = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+      'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+    const tens = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+    
+    if (!Number.isInteger(value) || value < 0 || value > 9999) return String(value);
+    if (value < 20) return ones[value];
+    if (value < 100) {
+      return value % 10 ? `${tens[Math.floor(value / 10)]}-${ones[value % 10]}` : tens[value / 10];
+    }
+    if (value < 1000) {
+      const rest = value % 100;
+      return `${ones[Math.floor(value / 100)]} hundred${rest ? ` ${this.spokenNumber(rest)}` : ''}`;
+    }
+    const rest = value % 1000;
+    return `${ones[Math.floor(value / 1000)]} thousand${rest ? ` ${this.spokenNumber(rest)}` : ''}`;
+  }
+
+  renderSpeechSettings() {
+    const speech = this.speech;
+    const supported = 'speechSynthesis' in window;
+    
+    this.elements.speechToggle.classList.toggle('active', speech.enabled);
+    this.elements.speechOptions.classList.toggle('hidden', !speech.enabled || !supported);
+    this.elements.speechUnsupported.classList.toggle('hidden', supported);
+    this.elements.speechVolume.value = speech.volume;
+    
+    if (supported) {
+      const voices = window.speechSynthesis.getVoices();
+      this.elements.speechVoice.innerHTML = '<option value="">Default voice</option>' + voices.map(voice => `
+        <option value="${this.escapeHtml(voice.voiceURI)}" ${voice.voiceURI === speech.voiceURI ? 'selected' : ''}>
+          ${this.escapeHtml(voice.name)} (${voice.lang})
+        </option>
+      `).join('');
+    }
+    
+    this.elements.speechMetrics.innerHTML = this.allMetrics()
+      .filter(metric => this.matchesUnitSystem(metric))
+      .map(metric => `
+        <div class="metric-checkbox-item">
+          <input
+            type="checkbox"
+            id="speech-${metric.id}"
+            ${speech.muted.includes(metric.id) ? '' : 'checked'}
+            onchange="tracker.toggleMetricAnnouncement('${metric.id}')"
+          />
+          <label for="speech-${metric.id}">${metric.label}</label>
+        </div>
+      `).join('');
+  }
+
+  saveSpeechSettings() {
+    localStorage.setItem('speech', JSON.stringify(this.speech));
+  }
+
+  toggleSpeech() {
+    this.speech.enabled = !this.speech.enabled;
+    this.saveSpeechSettings();
+    this.renderSpeechSettings();
+  }
+
+  toggleMetricAnnouncement(metricId) {
+    const muted = this.speech.muted;
+    const index = muted.indexOf(metricId);
+    if (index > -1) {
+      muted.splice(index, 1);
+    } else {
+      muted.push(metricId);
+    }
+    this.saveSpeechSettings();
+  }
+
+  // === WAKE LOCK ===
+  // A dimmed or locked screen throttles the sensors and the samples are lost
+  // through the large-dt branch of updateMetrics, so the screen is kept on
+  // while a run is active with the Screen Wake Lock API. Without it nothing
+  // reliably keeps the screen on, so the warning asks the driver to.
+  
+  initWakeLock() {
+    this.wakeLock = null; // WakeLockSentinel while held
+    this.wakeLockRequest = null; // Pending navigator.wakeLock.request() promise
+    this.wakeLockMode = 'none'; // 'native' | 'none'
+    
+    // The browser releases the lock whenever the page is hidden
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && this.isRunning && !this.replay) {
+        this.acquireWakeLock();
+      }
+    });
+  }
+
+  async acquireWakeLock() {
+    if ('wakeLock' in navigator) {
+      try {
+        // Starting a run and the page becoming visible can both ask at once;
+        // they share one request so no sentinel is left unreleased
+        if (!this.wakeLock) {
+          if (!this.wakeLockRequest) {
+            this.wakeLockRequest = navigator.wakeLock.request('screen')
+              .finally(() => { this.wakeLockRequest = null; });
+            const sentinel = await this.wakeLockRequest;
+            this.wakeLock = sentinel;
+            sentinel.addEventListener('release', () => {
+              if (this.wakeLock === sentinel) this.wakeLock = null;
+              if (this.wakeLockMode === 'native') this.wakeLockMode = 'none';
+              this.renderWakeLockStatus();
+            });
+          } else {
+            await this.wakeLockRequest;
+          }
+        }
+        
+        // Stopped while the request was pending
+        if (!this.isRunning) {
+          this.releaseWakeLock();
+          return;
+        }
+        
+        this.wakeLockMode = 'native';
+        this.renderWakeLockStatus();
+        return;
+      } catch (error) {
+        console.warn('Screen wake lock unavailable:', error);
+      }
+    }
+    
+    this.wakeLockMode = 'none';
+    this.renderWakeLockStatus();
+  }
+
+  releaseWakeLock() {
+    if (this.wakeLock) {
+      this.wakeLock.release().catch(() => {});
+      this.wakeLock = null;
+    }
+    this.wakeLockMode = 'none';
+    this.renderWakeLockStatus();
+  }
+
+  // Warns while running without a wake lock
+  renderWakeLockStatus() {
+    const unprotected = this.isRunning && !this.replay && this.wakeLockMode !== 'native';
+    this.elements.wakeLockWarning.classList.toggle('hidden', !unprotected);
+  }
+
+  // === PAGE LIFECYCLE ===
+  // Sensors stop (or are throttled) while the page is hidden or frozen, so
+  // nothing timed across the gap can be trusted. The run so far is saved as
+  // interrupted and a fresh run begins when the page comes back, which voids
+  // every interval, launch and braking test that was in progress.
+  
+  initLifecycle() {
+    this.suspended = false;
+    
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.suspendRun('hidden');
+      } else {
+        this.resumeRun();
+      }
+    });
+    document.addEventListener('freeze', () => this.suspendRun('frozen'));
+    document.addEventListener('resume', () => this.resumeRun());
+    window.addEventListener('pagehide', () => this.suspendRun('closed'));
+    window.addEventListener('pageshow', (event) => {
+      // Restored from the back/forward cache
+      if (event.persisted) this.resumeRun();
+    });
+  }
+
+  suspendRun(reason) {
+    if (!this.isRunning || this.replay || this.suspended) return;
+    
+    this.suspended = true;
+    this.runInterruption = { reason, t: parseFloat(((this.now() - this.runStartTime) / 1000).toFixed(2)) };
+    
+    // Saved now (with the tree's reaction time): a page that is being closed may never come back
+    this.saveRun();
+    this.cancelTree();
+  }
+
+  resumeRun() {
+    if (!this.suspended) return;
+    this.suspended = false;
+    if (!this.isRunning) return;
+    
+    // The car may have moved on meanwhile: look for a moving start again
+    this.startupComplete = false;
+    this.wasMovingAtStart = false;
+    this.startupGpsReadings = [];
+    this.gpsSpeedHistory = [];
+    
+    this.beginRun();
+    
+    // Unlike a fresh start, the car isn't known to be still
+    this.kalman.inflateSpeedUncertainty(25);
+    this.syncFusionState();
+  }
+
+  // === AUTO-ARM ===
+  // A cycle is stationary → launch → decelerate → stationary. Once the car has
+  // been at rest for a while after a launch, the run is saved and a fresh one
+  // starts, ready for the next launch.
+  
+  updateSegment(sample) {
+    // Below ~1 mph counts as stopped
+    if (this.velocity > 0.5) {
+      this.segmentStoppedAt = null;
+      return;
+    }
+    
+    if (this.segmentStoppedAt === null) {
+      this.segmentStoppedAt = sample.timestamp;
+    }
+    // Long enough that a pause in a crawl or a stall doesn't end the run
+    if (sample.timestamp - this.segmentStoppedAt < 2000) return;
+    
+    this.closeSegment();
+  }
+
+  closeSegment() {
+    this.saveRun();
+    console.log(`Auto-arm: run ${this.segmentsSaved + 1} saved with ${this.runResults.length} results, re-arming`);
+    this.startSegment();
+    this.playTone(500, 100);
+  }
+
+  startSegment() {
+    this.segmentsSaved++;
+    
+    // The car is known to be at rest, so the next run starts from zero
+    this.wasMovingAtStart = false;
+    this.beginRun({ segment: true });
+  }
+
+  renderAutoArmStatus() {
+    const status = this.elements.autoArmStatus;
+    status.classList.toggle('hidden', !this.autoArm || !this.isRunning);
+    
+    const state = this.launchDetected ? 'Run' : 'Armed';
+    status.textContent = this.segmentsSaved > 0 ? `${state} · ${this.segmentsSaved} saved` : state;
+  }
+
+  toggleAutoArm() {
+    this.autoArm = !this.autoArm;
+    localStorage.setItem('autoArm', this.autoArm);
+    this.elements.autoArmToggle.classList.toggle('active', this.autoArm);
+    this.segmentStoppedAt = null;
+    this.renderAutoArmStatus();
+  }
+
+  // === STATISTICS ===
+  // Spread and progression of a metric's history, to tell a real improvement
+  // from run-to-run noise. Only results that count as a best are included.
+  
+  // Lower is better for both: seconds, or stopping distance (m) for braking tests
+  statValue(metric, entry) {
+    return this.isBrakingMetric(metric) ? entry.distance : entry.time;
+  }
+
+  formatStatValue(metric, value, decimals = 2) {
+    if (value === null || !Number.isFinite(value)) return '---';
+    if (!this.isBrakingMetric(metric)) return `${value.toFixed(decimals)}s`;
+    
+    const imperial = !METRIC_UNITS[metric.unit].isMetric;
+    return imperial ? `${(value / METRIC_UNITS.ft.factor).toFixed(1)}ft` : `${value.toFixed(1)}m`;
+  }
+
+  // Linear interpolation between the closest ranks of a sorted array
+  percentile(sorted, fraction) {
+    if (!sorted.length) return null;
+    
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  // { count, mean, median, stdDev (sample, null below 2 values), best }
+  describeValues(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const count = sorted.length;
+    if (!count) return { count, mean: null, median: null, stdDev: null, best: null };
+    
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+    const variance = count > 1
+      ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1)
+      : null;
+    return {
+      count,
+      mean,
+      median: this.percentile(sorted, 0.5),
+      stdDev: variance === null ? null : Math.sqrt(variance),
+      best: sorted[0]
+    };
+  }
+
+  // 0-100 from the coefficient of variation: 0% spread scores 100, 10% or more scores 0
+  consistencyScore(stats) {
+    if (stats.count < 3 || !stats.mean) return null;
+    
+    const variation = stats.stdDev / stats.mean;
+    return Math.round(Math.max(0, 1 - variation / 0.1) * 100);
+  }
+
+  // Chronological groups of entries; a break of more than two hours starts a new session
+  groupSessions(entries) {
+    const sessionGap = 2 * 60 * 60 * 1000;
+    const sessions = [];
+    let last = null;
+    
+    entries.forEach(entry => {
+      const time = Date.parse(entry.timestamp);
+      if (last === null || time - last > sessionGap) {
+        sessions.push({ start: time, entries: [] });
+      }
+      sessions[sessions.length - 1].entries.push(entry);
+      last = time;
+    });
+    return sessions;
+  }
+
+  // Latest session against everything before it. The change is significant when it
+  // exceeds twice its standard error; otherwise it's within run-to-run noise.
+  sessionTrend(metric, sessions) {
+    if (sessions.length < 2) return null;
+    
+    const latest = this.describeValues(sessions[sessions.length - 1].entries.map(entry => this.statValue(metric, entry)));
+    const earlier = this.describeValues(sessions.slice(0, -1).flatMap(session => session.entries.map(entry => this.statValue(metric, entry))));
+    const change = latest.mean - earlier.mean;
+    
+    let significant = null; // Unknown without a spread on both sides
+    if (latest.stdDev !== null && earlier.stdDev !== null) {
+      const standardError = Math.sqrt(latest.stdDev ** 2 / latest.count + earlier.stdDev ** 2 / earlier.count);
+      significant = Math.abs(change) > 2 * standardError;
+    }
+    return { change, significant };
+  }
+
+  // Everything the statistics view shows for a metric
+  metricStatistics(metric) {
+    const counted = metric.history
+      .filter(entry => this.countsForBest(entry) && Number.isFinite(this.statValue(metric, entry)))
+      .filter(entry => Number.isFinite(Date.parse(entry.timestamp)))
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    const values = counted.map(entry => this.statValue(metric, entry));
+    const sorted = [...values].sort((a, b) => a - b);
+    const stats = this.describeValues(values);
+    const sessions = this.groupSessions(counted);
+    
+    return {
+      ...stats,
+      excluded: metric.history.length - counted.length,
+      top10: this.percentile(sorted, 0.1),
+      top25: this.percentile(sorted, 0.25),
+      consistency: this.consistencyScore(stats),
+      entries: counted,
+      sessions: sessions.map(session => ({
+        start: session.start,
+        ...this.describeValues(session.entries.map(entry => this.statValue(metric, entry)))
+      })),
+      trend: this.sessionTrend(metric, sessions)
+    };
+  }
+
+  setHistoryView(view) {
+    this.historyView = view;
+    const showStats = view === 'stats';
+    this.elements.historyResultsTab.classList.toggle('active', !showStats);
+    this.elements.historyStatsTab.classList.toggle('active', showStats);
+    this.elements.historyResultsView.classList.toggle('hidden', showStats);
+    this.elements.historyStatsView.classList.toggle('hidden', !showStats);
+    
+    const metric = this.allMetrics().find(m => m.id === this.historyMetricId);
+    if (showStats && metric) {
+      this.renderHistoryStats(metric);
+    }
+  }
+
+  renderHistoryStats(metric) {
+    const stats = this.metricStatistics(metric);
+    const format = value => this.formatStatValue(metric, value);
+    const spread = value => (value === null ? '---' : `±${this.formatStatValue(metric, value, 3)}`);
+    
+    const cells = [
+      ['Best', format(stats.best)],
+      ['Top 10%', format(stats.top10)],
+      ['Top 25%', format(stats.top25)],
+      ['Median', format(stats.median)],
+      ['Mean', format(stats.mean)],
+      ['Std Dev', spread(stats.stdDev)],
+      ['Consistency', stats.consistency === null ? '---' : `${stats.consistency}/100`],
+      ['Results', `${stats.count}`]
+    ];
+    this.elements.historyStatsGrid.innerHTML = cells.map(([label, value]) => `
+      <div class="stats-cell">
+        <div class="stats-label">${label}</div>
+        <div class="stats-value">${value}</div>
+      </div>
+    `).join('');
+    
+    const notes = [];
+    if (stats.trend) {
+      const { change, significant } = stats.trend;
+      const braking = this.isBrakingMetric(metric);
+      const direction = change < 0 ? (braking ? 'shorter' : 'quicker') : (braking ? 'longer' : 'slower');
+      const verdict = significant === null ? 'too few results to tell' : significant ? 'a real change' : 'within run-to-run noise';
+      notes.push(`Latest session ${this.formatStatValue(metric, Math.abs(change))} ${direction} on average than before: ${verdict}`);
+    }
+    if (stats.excluded > 0) {
+      notes.push(`${stats.excluded} suspect or steep result${stats.excluded === 1 ? '' : 's'} left out`);
+    }
+    this.elements.historyStatsTrend.innerHTML = notes.map(note => `<div>${note}</div>`).join('');
+    
+    this.elements.historySessionBody.innerHTML = stats.sessions.length ? [...stats.sessions].reverse().map(session => `
+      <tr>
+        <td>${new Date(session.start).toLocaleDateString()}</td>
+        <td>${session.count}</td>
+        <td>${format(session.best)}</td>
+        <td>${format(session.mean)}</td>
+        <td>${spread(session.stdDev)}</td>
+      </tr>
+    `).join('') : '<tr><td colspan="5">No results yet</td></tr>';
+    
+    this.drawProgressionChart(metric, stats.entries);
+  }
+
+  // Every counted result over time, with the best so far as a second line
+  drawProgressionChart(metric, entries) {
+    const canvas = this.elements.historyProgressChart;
+    this.sizeCanvas(canvas);
+    
+    const day = 24 * 60 * 60 * 1000;
+    const first = entries.length ? Date.parse(entries[0].timestamp) : Date.now();
+    const isBraking = this.isBrakingMetric(metric);
+    const imperial = !METRIC_UNITS[metric.unit].isMetric;
+    const display = value => (isBraking && imperial ? value / METRIC_UNITS.ft.factor : value);
+    
+    let bestSoFar = Infinity;
+    const results = [];
+    const bests = [];
+    entries.forEach(entry => {
+      const x = (Date.parse(entry.timestamp) - first) / day;
+      const value = this.statValue(metric, entry);
+      bestSoFar = Math.min(bestSoFar, value);
+      results.push({ x, y: display(value) });
+      bests.push({ x, y: display(bestSoFar) });
+    });
+    
+    this.drawSeriesChart(canvas, [
+      { color: '#888888', points: results },
+      { color: '#6C8EAD', points: bests }
+    ], {
+      xLabel: 'Date',
+      yLabel: isBraking ? `Distance (${imperial ? 'ft' : 'm'})` : 'Time (s)',
+      yDecimals: isBraking ? 0 : 2,
+      fitY: true,
+      lineWidth: 1.5,
+      formatX: value => new Date(first + value * day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+      note: entries.length < 2 ? 'Needs two results' : null
+    });
+  }
+
+  // === POWER ===
+  
+  // Dyno-style wheel power from a trace: P = v · (m·a + aero drag + rolling resistance).
+  // Acceleration is the slope of the fused speed (smoother and bias-free compared
+  // to the raw accelerometer). Samples are averaged into 5 mph / 5 km/h bins.
+  // Returns { curve: [{ speed (m/s), power (W) }], peak: { power, speed } } or null.
+  estimatePowerCurve(trace) {
+    const vehicle = this.activeVehicle();
+    if (!vehicle.mass || trace.length < 2) return null;
+    
+    const dragArea = vehicle.frontalArea && vehicle.dragCoefficient
+      ? vehicle.frontalArea * vehicle.dragCoefficient
+      : 0;
+    const binWidth = 5 / (this.isMetric ? 3.6 : 2.237); // m/s
+    const bins = new Map();
+    
+    let back = 0;
+    let ahead = 0;
+    trace.forEach((sample, i) => {
+      while (trace[back].t < sample.t - 0.25) back++;
+      while (ahead < trace.length - 1 && trace[ahead].t < sample.t + 0.25) ahead++;
+      
+      const dt = trace[ahead].t - trace[back].t;
+      if (dt <= 0 || sample.speed < 2) return;
+      
+      const accel = (trace[ahead].speed - trace[back].speed) / dt;
+      if (accel < 0.3) return; // Only accelerating samples make a power curve
+      
+      const force = vehicle.mass * accel +
+        0.5 * AIR_DENSITY * dragArea * sample.speed ** 2 +
+        ROLLING_RESISTANCE * vehicle.mass * GRAVITY;
+      
+      const bin = Math.floor(sample.speed / binWidth);
+      const entry = bins.get(bin) || { speed: 0, power: 0, count: 0 };
+      entry.speed += sample.speed;
+      entry.power += force * sample.speed;
+      entry.count++;
+      bins.set(bin, entry);
+    });
+    
+    const curve = [...bins.keys()]
+      .sort((a, b) => a - b)
+      .map(bin => bins.get(bin))
+      .filter(entry => entry.count >= 3)
+      .map(entry => ({ speed: entry.speed / entry.count, power: entry.power / entry.count }));
+    
+    if (!curve.length) return null;
+    
+    const peak = curve.reduce((a, b) => (b.power > a.power ? b : a));
+    return { curve, peak: { power: Math.round(peak.power), speed: parseFloat(peak.speed.toFixed(1)) } };
+  }
+
+  // Watts to the displayed power unit
+  formatPower(watts) {
+    return this.isMetric ? `${(watts / 1000).toFixed(0)} kW` : `${(watts / 745.7).toFixed(0)} hp`;
+  }
+
+  // === G-METER ===
+  
+  updateGMeter(data) {
+    const longitudinal = (data.longitudinalAccel || 0) / 9.81;
+    const lateral = (data.lateralAccel || 0) / 9.81;
+    
+    if (this.isRunning) {
+      this.runPeaks.launch = Math.max(this.runPeaks.launch, longitudinal);
+      this.runPeaks.braking = Math.max(this.runPeaks.braking, -longitudinal);
+      this.runPeaks.lateral = Math.max(this.runPeaks.lateral, Math.abs(lateral));
+    }
+    
+    if (!this.showGMeter) return;
+    
+    // Trail fades out over two seconds
+    this.gMeterTrail.push({ longitudinal, lateral, timestamp: data.timestamp });
+    while (this.gMeterTrail.length && data.timestamp - this.gMeterTrail[0].timestamp > 2000) {
+      this.gMeterTrail.shift();
+    }
+    
+    this.elements.gMeterLongitudinal.textContent = `${longitudinal.toFixed(2)} g`;
+    this.elements.gMeterLateral.textContent = `${lateral.toFixed(2)} g`;
+    this.drawGMeter();
+    this.renderGMeterPeaks();
+  }
+
+  renderGMeterPeaks() {
+    const peaks = this.runPeaks;
+    this.elements.gMeterPeaks.textContent =
+      `Peak launch ${peaks.launch.toFixed(2)} g · braking ${peaks.braking.toFixed(2)} g · lateral ${peaks.lateral.toFixed(2)} g`;
+  }
+
+  // Friction circle: acceleration up, braking down, right turns to the right
+  drawGMeter() {
+    const canvas = this.elements.gMeterCanvas;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+    const radius = Math.min(centerX, centerY) - 14;
+    if (radius <= 0) return;
+    
+    // Scale grows past 1 g in 0.5 g steps if the trail needs it
+    const largest = Math.max(...this.gMeterTrail.map(p => Math.hypot(p.longitudinal, p.lateral)), 0);
+    const maxG = Math.max(1, Math.ceil(largest * 2) / 2);
+    const toCanvas = point => ({
+      x: centerX + (point.lateral / maxG) * radius,
+      y: centerY - (point.longitudinal / maxG) * radius
+    });
+    
+    const isDark = document.body.classList.contains('dark-mode');
+    ctx.strokeStyle = isDark ? '#333' : '#E0E0E0';
+    ctx.lineWidth = 1;
+    for (let ring = 1; ring <= 4; ring++) {
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, (radius * ring) / 4, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.beginPath();
+    ctx.moveTo(centerX - radius, centerY);
+    ctx.lineTo(centerX + radius, centerY);
+    ctx.moveTo(centerX, centerY - radius);
+    ctx.lineTo(centerX, centerY + radius);
+    ctx.stroke();
+    
+    ctx.fillStyle = isDark ? '#ccc' : '#666';
+    ctx.font = '10px Inter';
+    ctx.textAlign = 'center';
+    ctx.fillText('ACCEL', centerX, centerY - radius - 3);
+    ctx.fillText('BRAKE', centerX, centerY + radius + 11);
+    ctx.textAlign = 'left';
+    ctx.fillText(`${maxG.toFixed(1)}g`, centerX + radius * 0.72, centerY - radius * 0.72);
+    
+    // Trail, older points fainter
+    const latest = this.gMeterTrail[this.gMeterTrail.length - 1];
+    this.gMeterTrail.forEach(point => {
+      const { x, y } = toCanvas(point);
+      ctx.globalAlpha = Math.max(0, 1 - (latest.timestamp - point.timestamp) / 2000) * 0.6;
+      ctx.fillStyle = '#FF3B30';
+      ctx.beginPath();
+      ctx.arc(x, y, 2, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+    
+    if (latest) {
+      const { x, y } = toCanvas(latest);
+      ctx.fillStyle = '#FF3B30';
+      ctx.beginPath();
+      ctx.arc(x, y, 6, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  // === SENSOR RECORDING ===
+  
+  toggleRecording() {
+    this.recordingEnabled = !this.recordingEnabled;
+    this.elements.recordToggle.classList.toggle('active', this.recordingEnabled);
+    
+    if (this.recordingEnabled && this.isRunning && !this.replay) {
+      // Recording mid-run can't be replayed faithfully, so it starts with the next run
+      console.log('Sensor recording will start with the next run');
+    } else if (!this.recordingEnabled && this.recording) {
+      this.finishRecording();
+    }
+  }
+
+  startRecording() {
+    this.recording = {
+      version: 1,
+      recordedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      isMetric: this.isMetric,
+      calibrationOffset: { ...this.calibrationOffset },
+      isCalibrated: this.isCalibrated,
+      motionSource: this.motionSource,
+      settings: this.replaySettings(),
+      events: []
+    };
+    console.log('Sensor recording started');
+  }
+
+  // Settings that change which results a run produces; a replay runs with the recorded ones
+  replaySettings() {
+    return { brakingMode: this.brakingMode, autoArm: this.autoArm };
+  }
+
+  // Events carry their own t when the source provides a timestamp
+  recordEvent(event) {
+    if (!this.recording || this.replay) return;
+    this.recording.events.push({ t: performance.now(), ...event });
+  }
+
+  finishRecording() {
+    const recording = this.recording;
+    this.recording = null;
+    
+    if (!recording || recording.events.length === 0) return;
+    
+    this.downloadFile(`0to60-recording-${this.fileTime(recording.recordedAt)}.json`, JSON.stringify(recording), 'application/json');
+    console.log(`Sensor recording saved (${recording.events.length} events)`);
+  }
+
+  copyVector(vector) {
+    if (!vector || vector.x === null || vector.x === undefined) return null;
+    return { x: vector.x, y: vector.y, z: vector.z };
+  }
+
+  downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // === SENSOR REPLAY ===
+  
+  handleReplayFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow the same file to be picked again
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const recording = JSON.parse(reader.result);
+        this.closeSettings();
+        this.replayRecording(recording)
+          .then(results => this.showReplayResults(results))
+          .catch(error => {
+            console.warn('Could not replay recording:', error);
+            alert(`This file is not a valid sensor recording: ${error.message}`);
+          });
+      } catch (error) {
+        console.warn('Could not read recording:', error);
+        alert('This file is not a valid sensor recording.');
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  // Feeds a recording back through handleDeviceMotion/handleGPSUpdate.
+  // speed = 1 keeps the original timing, 0 replays as fast as possible.
+  // Either way the results are identical because the pipeline runs on
+  // the recorded timestamps (see now()).
+  async replayRecording(recording, { speed = 1 } = {}) {
+    if (!recording || recording.version !== 1 || !Array.isArray(recording.events)) {
+      throw new Error('Unsupported recording format');
+    }
+    
+    if (this.isRunning) {
+      this.stopRun();
+    }
+    
+    const events = recording.events;
+    this.replay = {
+      clock: events.length > 0 ? events[0].t : 0,
+      results: [],
+      dispatching: false,
+      cancelled: false,
+      settings: this.replaySettings() // Restored once the replay ends
+    };
+    
+    // Recordings from before settings were stored replay with the current ones
+    const { brakingMode, autoArm } = { ...this.replay.settings, ...recording.settings };
+    this.brakingMode = brakingMode === true;
+    this.autoArm = autoArm === true;
+    
+    this.resetSensorState();
+    this.calibrationOffset = { ...recording.calibrationOffset };
+    this.isCalibrated = recording.isCalibrated;
+    this.elements.recordingIndicator.classList.add('active');
+    
+    try {
+      for (let i = 0; i < events.length && !this.replay.cancelled; i++) {
+        const event = events[i];
+        if (speed > 0 && i > 0) {
+          const delay = (event.t - events[i - 1].t) / speed;
+          if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+          }
+        }
+        this.dispatchReplayEvent(event);
+      }
+      
+      return this.replay.results;
+    } finally {
+      this.finishReplay();
+    }
+  }
+
+  dispatchReplayEvent(event) {
+    this.replay.clock = event.t;
+    this.replay.dispatching = true;
+    
+    try {
+      switch (event.type) {
+        case 'motion':
+          this.handleDeviceMotion({
+            acceleration: event.acceleration,
+            accelerationIncludingGravity: event.accelerationIncludingGravity,
+            rotationRate: event.rotationRate,
+            interval: event.interval
+          });
+          break;
+        case 'gps':
+          this.handleGPSUpdate({ coords: event.coords, timestamp: event.timestamp });
+          break;
+        case 'start':
+          // Calibration ran on the wall clock during recording, so reuse its result
+          this.calibrationOffset = { ...event.calibrationOffset };
+          this.isCalibrated = event.isCalibrated;
+          if (event.segment) {
+            this.startSegment();
+          } else {
+            this.beginRun();
+          }
+          break;
+        case 'tree':
+          if (event.phase === 'staged') {
+            this.startTreeCountdown();
+          } else if (event.phase === 'green' && this.tree?.phase === 'countdown') {
+            this.showTreeGreen();
+          }
+          break;
+        case 'stop':
+          this.isRunning = false;
+          break;
+      }
+    } finally {
+      this.replay.dispatching = false;
+    }
+  }
+
+  finishReplay() {
+    ({ brakingMode: this.brakingMode, autoArm: this.autoArm } = this.replay.settings);
+    this.replay = null;
+    this.isRunning = false;
+    this.resetSensorState();
+    this.elements.recordingIndicator.classList.remove('active');
+    this.elements.headerStartBtn.classList.remove('hidden');
+    this.elements.headerStopBtn.classList.remove('active');
+    this.elements.startBtn.classList.remove('hidden'); // Legacy
+    this.elements.speedValue.textContent = '0';
+    this.segmentsSaved = 0;
+    this.renderAutoArmStatus();
+    
+    // Throw away whatever the replay wrote into the metrics and reload the real history
+    this.loadMetricHistory().then(() => this.renderMetrics());
+  }
+
+  // Puts the sensor fusion pipeline back into its initial state so a
+  // replay always starts from the same conditions
+  resetSensorState() {
+    this.velocity = 0;
+    this.distance = 0;
+    this.lastTimestamp = 0;
+    this.previousSample = null;
+    this.chartData = [];
+    this.sensorData = [];
+    this.accelerationBuffer = [];
+    this.isMoving = false;
+    this.stationaryTime = 0;
+    this.stationaryDuration = 0;
+    this.lastValidAcceleration = 0;
+    
+    this.gpsSpeed = 0;
+    this.gpsLastUpdate = 0;
+    this.lastGpsPosition = null;
+    this.gpsDistance = 0;
+    this.consecutiveZeroGPS = 0;
+    
+    this.kalman.reset(0, 100);
+    this.syncFusionState();
+    this.gpsAccuracy = 0;
+    this.lastFusionTime = 0;
+    this.gpsSpeedHistory = [];
+    this.gpsReliabilityScore = 0;
+    
+    this.initialGpsReceived = false;
+    this.wasMovingAtStart = false;
+    this.startupGpsReadings = [];
+    this.startupComplete = false;
+    
+    this.launchDetected = false;
+    this.launchTime = null;
+    this.launchAccelerationBuffer = [];
+    
+    this.resetForwardAxis();
+    this.upDirection = { x: 0, y: 0, z: 1 };
+    this.upDirectionKnown = false;
+    this.calibrationUp = null;
+    this.gMeterTrail = [];
+    this.gpsHeading = null;
+    this.gpsHeadingRate = 0;
+    this.lastGpsSpeedSample = null;
+  }
+
+  showReplayResults(results) {
+    this.elements.historyHeader.textContent = 'Replay Results';
+    this.elements.historyTableBody.innerHTML = results.length > 0
+      ? results.map((result, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${this.escapeHtml(result.timeString)}${this.qualityBadge(result, true)}${this.correctedLine(result)}</td>
+          <td>${this.escapeHtml(result.label)}</td>
+        </tr>
+      `).join('')
+      : '<tr><td colspan="3">No metrics were reached in this recording</td></tr>';
+    this.elements.historyTargetRow.classList.add('hidden');
+    this.elements.historyViews.classList.add('hidden');
+    this.elements.historyResultsView.classList.remove('hidden');
+    this.elements.historyStatsView.classList.add('hidden');
+    
+    this.elements.historyModal.classList.add('show');
+  }
+
+  renderMetrics() {
+    const unitKey = this.isMetric ? 'kmh' : 'mph';
+    const currentVisibleMetrics = this.visibleMetrics[unitKey];
+    
+    const visibleMetrics = this.allMetrics()
+      .filter(metric => {
+        // Filter by unit system first
+        if (!this.matchesUnitSystem(metric)) {
+          return false;
+        }
+        
+        // Braking tests are shown exactly when braking mode is on
+        if (this.isBrakingMetric(metric)) {
+          return this.brakingMode;
+        }
+        
+        // If user has made selections, respect them
+        if (currentVisibleMetrics && currentVisibleMetrics.length > 0) {
+          return currentVisibleMetrics.includes(metric.id);
+        }
+        
+        // Default behavior: show non-conditional metrics or achieved conditional metrics
+        if (metric.conditional && !metric.recent) {
+          return false;
+        }
+        
+        return true;
+      });
+    
+    // Cards open the history, which is also where the vehicle's target is set
+    const targets = this.activeVehicle().targets;
+    this.elements.metricsGrid.innerHTML = visibleMetrics.map(metric => {
+      const target = targets[metric.id];
+      const recent = this.latestEntry(metric);
+      const best = this.bestEntry(metric.history, this.isBrakingMetric(metric));
+      const corrected = [
+        recent?.correctedString && `SAE: ${this.escapeHtml(recent.correctedString)}`,
+        best?.correctedString && best !== recent && `SAE best: ${this.escapeHtml(best.correctedString)}`
+      ].filter(Boolean);
+      
+      return `
+        <div class="metric-card ${metric.recent ? 'achieved' : ''} clickable" onclick="tracker.showHistoryModal('${metric.id}')">
+          <div class="metric-label">${metric.label}</div>
+          <div class="metric-recent">${metric.recent ? this.escapeHtml(metric.recent) : '---'}</div>
+          ${recent ? this.qualityBadge(recent) : ''}
+          ${metric.best ? `<div class="metric-best">Best: ${this.escapeHtml(metric.best)}</div>` : ''}
+          ${recent ? this.treeLine(recent) : ''}
+          ${corrected.map(line => `<div class="metric-corrected">${line}</div>`).join('')}
+          ${recent && this.isSteep(recent) ? `<div class="metric-grade">Grade ${recent.grade > 0 ? '+' : ''}${recent.grade.toFixed(1)}%</div>` : ''}
+          ${target ? `<div class="metric-target">Target: ${this.escapeHtml(target)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
   renderMetricSelection() {
     const unitKey = this.isMetric ? 'kmh' : 'mph';
     const currentVisibleMetrics = this.visibleMetrics[unitKey];
     
     // Get all metrics for current unit
     const allMetrics = [...this.metricDefinitions.speed, ...this.metricDefinitions.distance]
-      .filter(metric => {
-        const isMetricUnit = metric.label.includes('km/h') || metric.label.includes('1000m');
-        return this.isMetric === isMetricUnit;
-      });
+      .filter(metric => this.matchesUnitSystem(metric));
     
     this.elements.metricSelection.innerHTML = allMetrics.map(metric => {
       // If no selection has been made yet, default to showing non-conditional metrics
@@ -1299,45 +4547,170 @@ class SpeedTracker {
     }).join('');
   }
 
-  toggleMetricVisibility(metricId) {
-    const unitKey = this.isMetric ? 'kmh' : 'mph';
-    
-    // Get all metrics for current unit
-    const allMetricsForUnit = [...this.metricDefinitions.speed, ...this.metricDefinitions.distance]
-      .filter(metric => {
-        const isMetricUnit = metric.label.includes('km/h') || metric.label.includes('1000m');
-        return this.isMetric === isMetricUnit;
-      })
-      .map(m => m.id);
+  toggleMetricVisibility(metricId) {
+    const unitKey = this.isMetric ? 'kmh' : 'mph';
+    
+    // Get all metrics for current unit
+    // Initialize if not set
+    if (!this.visibleMetrics[unitKey]) {
+      // Start with non-conditional metrics
+      this.visibleMetrics[unitKey] = [...this.metricDefinitions.speed, ...this.metricDefinitions.distance]
+        .filter(m => this.matchesUnitSystem(m) && !m.conditional)
+        .map(m => m.id);
+    }
+    
+    // Toggle the metric
+    const index = this.visibleMetrics[unitKey].indexOf(metricId);
+    if (index > -1) {
+      this.visibleMetrics[unitKey].splice(index, 1);
+    } else {
+      this.visibleMetrics[unitKey].push(metricId);
+    }
+    
+    // Save to localStorage
+    localStorage.setItem(`visibleMetrics_${unitKey}`, JSON.stringify(this.visibleMetrics[unitKey]));
+    
+    // Re-render metrics
+    this.renderMetrics();
+  }
+
+  // === CUSTOM METRICS ===
+  
+  renderCustomMetrics() {
+    this.elements.customMetricList.innerHTML = this.customMetrics.map(definition => `
+      <div class="metric-checkbox-item">
+        <label>${definition.label}</label>
+        <button class="custom-metric-remove" onclick="tracker.removeCustomMetric('${definition.id}')">×</button>
+      </div>
+    `).join('');
+  }
+
+  // Unit options follow the selected metric type, preselecting the current unit system
+  renderCustomMetricUnits() {
+    const type = this.elements.customMetricType.value;
+    const unitType = type === 'braking' ? 'speed' : type;
+    const units = Object.keys(METRIC_UNITS).filter(key => METRIC_UNITS[key].type === unitType);
+    const preferred = units.find(key => METRIC_UNITS[key].isMetric === this.isMetric);
+    
+    this.elements.customMetricUnit.innerHTML = units.map(key => `
+      <option value="${key}" ${key === preferred ? 'selected' : ''}>${METRIC_UNITS[key].label}</option>
+    `).join('');
+  }
+
+  addCustomMetric() {
+    const type = this.elements.customMetricType.value;
+    const unit = this.elements.customMetricUnit.value;
+    const from = this.parseMetricValue(this.elements.customMetricFrom.value || '0');
+    
+    // Braking tests always end at a standstill
+    const to = type === 'braking' ? 0 : this.parseMetricValue(this.elements.customMetricTo.value);
+    
+    if (type === 'braking' && !(from > 0)) {
+      this.elements.customMetricError.textContent = 'Enter the speed to brake from in "From".';
+      return;
+    }
+    
+    if (type !== 'braking' && (!isFinite(from) || !isFinite(to) || from < 0 || to <= from)) {
+      this.elements.customMetricError.textContent = '"To" must be a number greater than "From".';
+      return;
+    }
+    
+    const id = `custom-${type}-${from}-${to}${unit}`;
+    if (this.allMetrics().some(m => m.id === id)) {
+      this.elements.customMetricError.textContent = 'That metric already exists.';
+      return;
+    }
+    
+    this.registerCustomMetric({ id, type, from, to, unit, label: this.formatMetricLabel(type, from, to, unit) });
+    
+    this.elements.customMetricFrom.value = '';
+    this.elements.customMetricTo.value = '';
+    this.elements.customMetricError.textContent = '';
+    
+    this.renderCustomMetrics();
+    this.renderMetricSelection();
+    this.renderSpeechSettings();
+    this.renderMetrics();
+  }
+
+  registerCustomMetric(definition) {
+    this.customMetrics.push(definition);
+    localStorage.setItem('customMetrics', JSON.stringify(this.customMetrics));
     
-    // Initialize if not set
-    if (!this.visibleMetrics[unitKey]) {
-      // Start with non-conditional metrics
-      this.visibleMetrics[unitKey] = [...this.metricDefinitions.speed, ...this.metricDefinitions.distance]
-        .filter(m => {
-          const isMetricUnit = m.label.includes('km/h') || m.label.includes('1000m');
-          return this.isMetric === isMetricUnit && !m.conditional;
-        })
-        .map(m => m.id);
+    const metric = this.addMetricDefinition(definition);
+    if (definition.type === 'speed') {
+      this.addSpeedTarget(metric);
     }
     
-    // Toggle the metric
-    const index = this.visibleMetrics[unitKey].indexOf(metricId);
-    if (index > -1) {
-      this.visibleMetrics[unitKey].splice(index, 1);
-    } else {
-      this.visibleMetrics[unitKey].push(metricId);
+    // If the user already picked visible metrics for this unit system, include the new one
+    const unitKey = METRIC_UNITS[definition.unit].isMetric ? 'kmh' : 'mph';
+    if (this.visibleMetrics[unitKey]) {
+      this.visibleMetrics[unitKey].push(definition.id);
+      localStorage.setItem(`visibleMetrics_${unitKey}`, JSON.stringify(this.visibleMetrics[unitKey]));
     }
+  }
+
+  removeCustomMetric(metricId) {
+    const definition = this.customMetrics.find(d => d.id === metricId);
+    if (!definition) return;
+    
+    this.customMetrics = this.customMetrics.filter(d => d.id !== metricId);
+    localStorage.setItem('customMetrics', JSON.stringify(this.customMetrics));
+    
+    this.metricDefinitions[definition.type] = this.metricDefinitions[definition.type].filter(m => m.id !== metricId);
+    delete this.runAchievements.speedTargets[metricId];
+    delete this.runDistanceAchievements[metricId];
+    delete this.runBrakingState[metricId];
+    
+    ['mph', 'kmh'].forEach(unitKey => {
+      if (this.visibleMetrics[unitKey]) {
+        this.visibleMetrics[unitKey] = this.visibleMetrics[unitKey].filter(id => id !== metricId);
+        localStorage.setItem(`visibleMetrics_${unitKey}`, JSON.stringify(this.visibleMetrics[unitKey]));
+      }
+    });
     
-    // Save to localStorage
-    localStorage.setItem(`visibleMetrics_${unitKey}`, JSON.stringify(this.visibleMetrics[unitKey]));
+    // Drops the metric's history too
+    this.saveMetricHistory();
     
-    // Re-render metrics
+    this.renderCustomMetrics();
+    this.renderMetricSelection();
+    this.renderSpeechSettings();
     this.renderMetrics();
   }
 
+  // Accepts plain numbers and fractions such as "1/2"
+  parseMetricValue(text) {
+    const fraction = text.trim().match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+    if (fraction) {
+      return parseFloat(fraction[1]) / parseFloat(fraction[2]);
+    }
+    return text.trim() === '' ? NaN : Number(text);
+  }
+
+  formatMetricLabel(type, from, to, unit) {
+    const unitLabel = METRIC_UNITS[unit].label;
+    const format = value => unit === 'mile' ? this.formatMileFraction(value) : value;
+    
+    if (type === 'braking') {
+      return `${from}-0 ${unitLabel}`;
+    }
+    
+    // Distances from the start read like the built-in ones: "1000m", "1/2 mile"
+    if (type === 'distance' && from === 0) {
+      return unit === 'm' ? `${to}m` : `${format(to)} ${unitLabel}`;
+    }
+    return `${format(from)}-${format(to)} ${unitLabel}`;
+  }
+
+  formatMileFraction(value) {
+    const fractions = { 0.125: '1/8', 0.25: '1/4', 0.5: '1/2', 0.75: '3/4' };
+    return fractions[value] || `${value}`;
+  }
+
   initChart() {
     this.ctx = this.elements.chart.getContext('2d');
+    this.renderChartModes();
+    this.initChartGestures();
     setTimeout(() => {
       this.resizeChart();
     }, 100);
@@ -1349,44 +4722,595 @@ class SpeedTracker {
     this.elements.chart.width = rect.width - 4;
     this.elements.chart.height = rect.height - 4;
     this.updateChart();
+    
+    if (this.showGMeter) {
+      this.sizeCanvas(this.elements.gMeterCanvas);
+      this.drawGMeter();
+    }
   }
 
   updateChart() {
     if (!this.ctx) return;
     
+    const mode = CHART_MODES[this.chartMode];
+    const speedUnit = this.isMetric ? 'km/h' : 'mph';
+    const distanceUnit = this.isMetric ? 'm' : 'ft';
+    const axes = {
+      time: { label: 'Seconds', decimals: 1 },
+      speed: { label: `Speed (${speedUnit})`, decimals: 0 },
+      distance: { label: `Distance (${distanceUnit})`, decimals: 0 },
+      g: { label: 'Longitudinal g', decimals: 2 },
+      power: { label: `Wheel power (${this.isMetric ? 'kW' : 'hp'})`, decimals: 0 }
+    };
+    const readouts = {
+      time: value => `${value.toFixed(2)} s`,
+      speed: value => `${value.toFixed(1)} ${speedUnit}`,
+      distance: value => `${value.toFixed(0)} ${distanceUnit}`,
+      g: value => `${value.toFixed(2)} g`,
+      power: value => `${value.toFixed(0)} ${this.isMetric ? 'kW' : 'hp'}`
+    };
+    
+    // Live runs show a rolling window, a finished or saved run can be zoomed and panned
+    const isFinishedRun = this.reviewedTrace() !== null;
+    const chart = isFinishedRun ? this.finishedRunChart() : this.liveChart();
+    const { points, series, note } = chart;
+    
+    const options = {
+      xLabel: axes[mode.x].label,
+      yLabel: axes[mode.y].label,
+      yDecimals: axes[mode.y].decimals,
+      yFloor: mode.y === 'speed' || mode.y === 'power' ? 50 : 0.5,
+      top: 30,
+      lineWidth: 3,
+      note
+    };
+    
+    if (!isFinishedRun && mode.x === 'time') {
+      // Rolling window labelled as seconds ago
+      const latest = points.length ? points[points.length - 1].time : 0;
+      options.xMin = points.length ? points[0].time : 0;
+      options.xMax = Math.max(latest, options.xMin + 1);
+      options.formatX = value => `${(options.xMax - value).toFixed(0)}s`;
+      options.xLabel = 'Seconds Ago';
+    } else {
+      options.formatX = value => value.toFixed(axes[mode.x].decimals);
+    }
+    
+    if (isFinishedRun) {
+      options.xMin = this.chartView ? this.chartView.min : chart.xMin;
+      options.xMax = this.chartView ? this.chartView.max : chart.xMax;
+      
+      if (this.chartCursor !== null && points.length) {
+        const nearest = points.reduce((a, b) =>
+          (Math.abs(b[mode.x] - this.chartCursor) < Math.abs(a[mode.x] - this.chartCursor) ? b : a));
+        options.cursor = {
+          x: nearest[mode.x],
+          lines: Object.keys(readouts).filter(key => key in nearest).map(key => readouts[key](nearest[key]))
+        };
+      }
+    }
+    
+    this.chartLayout = this.drawSeriesChart(this.elements.chart, series, options);
+    this.chartLayout.isFinishedRun = isFinishedRun;
+  }
+
+  // Plotted values for the selected chart mode: { points (chartValues), series, note }
+  chartSeries(samples) {
+    const mode = CHART_MODES[this.chartMode];
+    let points;
+    let note = null;
+    
+    if (mode.y === 'power') {
+      const estimate = this.estimatePowerCurve(samples);
+      const powerFactor = this.isMetric ? 1000 : 745.7;
+      points = (estimate?.curve ?? []).map(point => ({
+        speed: this.toDisplaySpeed(point.speed),
+        power: point.power / powerFactor
+      }));
+      
+      if (!this.activeVehicle().mass) {
+        note = 'Set vehicle mass in settings';
+      } else if (estimate) {
+        note = `Peak ${this.formatPower(estimate.peak.power)} @ ${this.toDisplaySpeed(estimate.peak.speed).toFixed(0)} ${this.isMetric ? 'km/h' : 'mph'}`;
+      }
+    } else {
+      points = samples.map(sample => this.chartValues(sample));
+    }
+    
+    const series = [{
+      color: '#FF3B30',
+      points: points.map(p => ({ x: p[mode.x], y: p[mode.y] }))
+    }];
+    return { points, series, note };
+  }
+
+  // chartSeries for the rolling window of a live run. The chart redraws on every
+  // sample; the power curve is re-estimated at most twice a second.
+  liveChart() {
+    const samples = () => this.chartData.map(d => ({ ...d, t: d.time }));
+    if (CHART_MODES[this.chartMode].y !== 'power') {
+      return this.chartSeries(samples());
+    }
+    
+    const now = this.now();
+    const cached = this.livePowerChart;
+    if (!cached || cached.isMetric !== this.isMetric || now < cached.time || now - cached.time > 500) {
+      this.livePowerChart = { time: now, isMetric: this.isMetric, ...this.chartSeries(samples()) };
+    }
+    return this.livePowerChart;
+  }
+
+  // Trace the chart zooms and pans over: a saved run opened from the list, else
+  // the current run once it has finished, else null while live
+  reviewedTrace() {
+    if (this.chartRun) return this.chartRun.trace;
+    return !this.isRunning && this.runTrace.length > 0 ? this.runTrace : null;
+  }
+
+  // chartSeries for the reviewed trace, kept between redraws so zooming and panning
+  // don't map the whole trace again on every pointer event. xMin/xMax bound the zoom.
+  finishedRunChart() {
+    const trace = this.reviewedTrace();
+    const vehicle = this.activeVehicle();
+    const key = [
+      this.chartMode, this.isMetric, trace.length,
+      vehicle.id, vehicle.mass, vehicle.frontalArea, vehicle.dragCoefficient, vehicle.drivetrain
+    ].join('|');
+    if (this.chartCache?.trace === trace && this.chartCache.key === key) {
+      return this.chartCache;
+    }
+    
+    const chart = this.chartSeries(trace);
+    // The trace of a run that waited before launching starts part way in
+    const points = chart.series[0].points;
+    let xMin = CHART_MODES[this.chartMode].x === 'time' && points.length ? points[0].x : 0;
+    let xMax = xMin + 1;
+    points.forEach(point => {
+      if (point.x < xMin) xMin = point.x;
+      if (point.x > xMax) xMax = point.x;
+    });
+    
+    this.chartCache = { trace, key, ...chart, xMin, xMax };
+    return this.chartCache;
+  }
+
+  // m/s to km/h or mph
+  toDisplaySpeed(speed) {
+    return speed * (this.isMetric ? 3.6 : 2.237);
+  }
+
+  // Trace sample (SI units) to the values plotted, in the selected units
+  chartValues(sample) {
+    return {
+      time: sample.t,
+      speed: this.toDisplaySpeed(sample.speed),
+      distance: this.isMetric ? sample.distance : sample.distance * 3.28084,
+      g: sample.accel / 9.81
+    };
+  }
+
+  setChartMode(mode) {
+    this.chartMode = mode;
+    localStorage.setItem('chartMode', mode);
+    this.chartView = null;
+    this.chartCursor = null;
+    this.renderChartModes();
+    this.updateChart();
+  }
+
+  renderChartModes() {
+    this.elements.chartModes.innerHTML = Object.keys(CHART_MODES).map(mode => `
+      <button class="chart-mode ${mode === this.chartMode ? 'active' : ''}" onclick="tracker.setChartMode('${mode}')">${CHART_MODES[mode].label}</button>
+    `).join('') + (this.chartRun ? `
+      <button class="chart-mode" onclick="tracker.closeChartRun()" title="${this.describeRun(this.chartRun)}">Saved run ✕</button>
+    ` : '');
+  }
+
+  // Opens a saved run's trace in the chart for zooming and the readout
+  async viewRun(id) {
+    try {
+      const run = await this.store.getRun(id);
+      if (!run?.trace?.length) return;
+      
+      this.chartRun = run;
+      this.closeSettings();
+      this.renderChartModes();
+      this.resetChartView();
+    } catch (error) {
+      console.warn('Error loading run:', error);
+      alert('Could not open this run.');
+    }
+  }
+
+  closeChartRun() {
+    this.chartRun = null;
+    this.renderChartModes();
+    this.resetChartView();
+  }
+
+  // === CHART ZOOM / PAN ===
+  // On a finished run: drag pans, pinch (or wheel) zooms the x axis, tapping or
+  // hovering shows a readout, double-tap resets the view.
+  
+  initChartGestures() {
     const canvas = this.elements.chart;
-    const ctx = this.ctx;
+    canvas.addEventListener('pointerdown', (event) => this.handleChartPointerDown(event));
+    canvas.addEventListener('pointermove', (event) => this.handleChartPointerMove(event));
+    canvas.addEventListener('pointerup', (event) => this.handleChartPointerUp(event));
+    canvas.addEventListener('pointercancel', (event) => this.handleChartPointerUp(event));
+    canvas.addEventListener('pointerleave', (event) => {
+      if (event.pointerType === 'mouse') {
+        this.chartCursor = null;
+        this.updateChart();
+      }
+    });
+    canvas.addEventListener('wheel', (event) => this.handleChartWheel(event), { passive: false });
+    canvas.addEventListener('dblclick', () => this.resetChartView());
+  }
+
+  chartGesturesEnabled() {
+    return this.chartLayout?.isFinishedRun;
+  }
+
+  // Pointer position in x-axis units
+  chartXAt(clientX) {
+    const { chartArea, xMin, xMax } = this.chartLayout;
+    const rect = this.elements.chart.getBoundingClientRect();
+    const fraction = (clientX - rect.left - chartArea.left) / (chartArea.right - chartArea.left);
+    return xMin + fraction * (xMax - xMin);
+  }
+
+  currentChartView() {
+    return this.chartView || { min: this.chartLayout.xMin, max: this.chartLayout.xMax };
+  }
+
+  handleChartPointerDown(event) {
+    if (!this.chartGesturesEnabled()) return;
+    
+    this.elements.chart.setPointerCapture(event.pointerId);
+    this.chartPointers.set(event.pointerId, event.clientX);
+    this.chartGesture = {
+      view: { ...this.currentChartView() },
+      pointers: new Map(this.chartPointers),
+      moved: false
+    };
+  }
+
+  handleChartPointerMove(event) {
+    if (!this.chartGesturesEnabled()) return;
+    
+    if (!this.chartPointers.has(event.pointerId)) {
+      // Mouse hover
+      if (event.pointerType === 'mouse') {
+        this.chartCursor = this.chartXAt(event.clientX);
+        this.updateChart();
+      }
+      return;
+    }
+    
+    this.chartPointers.set(event.pointerId, event.clientX);
+    const gesture = this.chartGesture;
+    const { chartArea } = this.chartLayout;
+    const unitsPerPixel = (gesture.view.max - gesture.view.min) / (chartArea.right - chartArea.left);
+    const ids = [...gesture.pointers.keys()].filter(id => this.chartPointers.has(id));
+    
+    if (ids.length >= 2) {
+      // Pinch: keep the x value under the fingers' midpoint fixed
+      const [a, b] = ids;
+      const startSpan = Math.abs(gesture.pointers.get(a) - gesture.pointers.get(b)) || 1;
+      const span = Math.abs(this.chartPointers.get(a) - this.chartPointers.get(b)) || 1;
+      const startMid = (gesture.pointers.get(a) + gesture.pointers.get(b)) / 2;
+      const mid = (this.chartPointers.get(a) + this.chartPointers.get(b)) / 2;
+      const rect = this.elements.chart.getBoundingClientRect();
+      const anchor = gesture.view.min + (startMid - rect.left - chartArea.left) * unitsPerPixel;
+      const scale = startSpan / span;
+      const min = anchor - (mid - rect.left - chartArea.left) * unitsPerPixel * scale;
+      this.setChartView(min, min + (gesture.view.max - gesture.view.min) * scale);
+      gesture.moved = true;
+    } else {
+      const dx = event.clientX - gesture.pointers.get(event.pointerId);
+      if (Math.abs(dx) > 5) gesture.moved = true;
+      if (gesture.moved) {
+        const shift = -dx * unitsPerPixel;
+        this.setChartView(gesture.view.min + shift, gesture.view.max + shift);
+      }
+    }
+  }
+
+  handleChartPointerUp(event) {
+    if (!this.chartPointers.has(event.pointerId)) return;
+    
+    this.chartPointers.delete(event.pointerId);
+    const gesture = this.chartGesture;
+    
+    if (gesture && !gesture.moved && this.chartPointers.size === 0) {
+      // Tap: show the readout at that point
+      this.chartCursor = this.chartXAt(event.clientX);
+      this.updateChart();
+    }
+    
+    // Remaining finger continues as a pan from where it is now
+    this.chartGesture = this.chartPointers.size ? {
+      view: { ...this.currentChartView() },
+      pointers: new Map(this.chartPointers),
+      moved: true
+    } : null;
+  }
+
+  handleChartWheel(event) {
+    if (!this.chartGesturesEnabled()) return;
+    event.preventDefault();
+    
+    const view = this.currentChartView();
+    const anchor = this.chartXAt(event.clientX);
+    const scale = Math.exp(event.deltaY * 0.002);
+    this.setChartView(anchor - (anchor - view.min) * scale, anchor + (view.max - anchor) * scale);
+  }
+
+  // Clamps the zoomed window to the run's data
+  setChartView(min, max) {
+    const { xMin: dataMin, xMax: dataMax } = this.finishedRunChart();
+    const span = Math.min(Math.max(max - min, (dataMax - dataMin) / 100), dataMax - dataMin);
+    
+    min = Math.min(Math.max(min, dataMin), dataMax - span);
+    this.chartView = { min, max: min + span };
+    this.updateChart();
+  }
+
+  resetChartView() {
+    this.chartView = null;
+    this.chartCursor = null;
+    this.updateChart();
+  }
+
+  toggleCompareRun(id) {
+    if (this.compareSelection.has(id)) {
+      this.compareSelection.delete(id);
+    } else {
+      this.compareSelection.add(id);
+    }
+    this.elements.compareRunsBtn.disabled = this.compareSelection.size < 2;
+  }
+
+  async compareSelectedRuns() {
+    try {
+      const runs = await Promise.all([...this.compareSelection].map(id => this.store.getRun(id)));
+      const comparable = runs.filter(run => run?.trace?.length);
+      if (comparable.length < 2) return;
+      
+      // Oldest run is the baseline, so "before" and "after" a change read naturally
+      comparable.sort((a, b) => Date.parse(a.startedAt || a.timestamp) - Date.parse(b.startedAt || b.timestamp));
+      this.closeSettings();
+      this.showComparison(comparable);
+    } catch (error) {
+      console.warn('Error loading runs to compare:', error);
+    }
+  }
+
+  // Trace shifted so t = 0 and distance = 0 at launch
+  launchAlignedTrace(run) {
+    const launch = run.launchOffset ?? this.estimateLaunchOffset(run.trace);
+    const startDistance = this.interpolateTrace(run.trace, 't', launch, 'distance') ?? 0;
+    
+    return run.trace
+      .filter(point => point.t >= launch)
+      .map(point => ({ ...point, t: point.t - launch, distance: point.distance - startDistance }));
+  }
+
+  // For runs where launch detection never fired: the moment speed started
+  // rising towards the first clearly moving sample
+  estimateLaunchOffset(trace) {
+    let index = trace.findIndex(point => point.speed > 0.5);
+    if (index === -1) return 0;
+    
+    while (index > 0 && trace[index - 1].speed > 0.1) {
+      index--;
+    }
+    return trace[index].t;
+  }
+
+  // Value of outKey where key first reaches target (linear between samples), or null if it never does
+  interpolateTrace(trace, key, target, outKey) {
+    for (let i = 0; i < trace.length; i++) {
+      if (trace[i][key] < target) continue;
+      if (i === 0) return trace[0][outKey];
+      
+      const a = trace[i - 1];
+      const b = trace[i];
+      const fraction = b[key] === a[key] ? 1 : (target - a[key]) / (b[key] - a[key]);
+      return a[outKey] + (b[outKey] - a[outKey]) * fraction;
+    }
+    return null;
+  }
+
+  // interpolateTrace for a run of targets that mostly increase, such as every point
+  // of another trace: each search resumes where the previous one stopped
+  traceInterpolator(trace, key, outKey) {
+    let index = 0;
+    let previousTarget = -Infinity;
+    
+    return target => {
+      // The first sample at or past a target can only move forward as the target grows
+      if (target < previousTarget) index = 0;
+      previousTarget = target;
+      
+      while (index < trace.length && trace[index][key] < target) index++;
+      if (index === trace.length) return null;
+      if (index === 0) return trace[0][outKey];
+      
+      const a = trace[index - 1];
+      const b = trace[index];
+      const fraction = b[key] === a[key] ? 1 : (target - a[key]) / (b[key] - a[key]);
+      return a[outKey] + (b[outKey] - a[outKey]) * fraction;
+    };
+  }
+
+  // Interval time for a metric definition from a launch-aligned trace, or null if not reached
+  traceSplitTime(trace, metric) {
+    const factor = METRIC_UNITS[metric.unit].factor;
+    const key = this.metricDefinitions.distance.includes(metric) ? 'distance' : 'speed';
+    const toSI = value => (key === 'speed' ? value * factor / 3.6 : value * factor);
+    
+    const end = this.interpolateTrace(trace, key, toSI(metric.to), 't');
+    if (end === null) return null;
+    if (metric.from === 0) return end;
+    
+    const start = this.interpolateTrace(trace, key, toSI(metric.from), 't');
+    return start === null ? null : end - start;
+  }
+
+  showComparison(runs) {
+    const colors = ['#FF3B30', '#007AFF', '#4CAF50', '#FF9500', '#AF52DE', '#5AC8FA'];
+    const speedFactor = this.isMetric ? 3.6 : 2.237;
+    const traces = runs.map(run => this.launchAlignedTrace(run));
+    const baseline = traces[0];
+    
+    this.elements.compareLegend.innerHTML = runs.map((run, index) => `
+      <span><span class="compare-legend-swatch" style="background: ${colors[index % colors.length]}"></span>${this.describeRun(run)}</span>
+    `).join('');
+    
+    // Splits for the current unit system, from the same definitions as the live metrics
+    const splits = [...this.metricDefinitions.speed, ...this.metricDefinitions.distance]
+      .filter(metric => this.matchesUnitSystem(metric))
+      .map(metric => ({ metric, times: traces.map(trace => this.traceSplitTime(trace, metric)) }))
+      .filter(split => split.times.some(time => time !== null));
+    
+    this.elements.compareTableHead.innerHTML = `
+      <tr>
+        <th>Split</th>
+        ${runs.map((run, index) => `<th style="color: ${colors[index % colors.length]}">Run ${index + 1}</th>`).join('')}
+      </tr>
+    `;
+    this.elements.compareTableBody.innerHTML = splits.map(({ metric, times }) => `
+      <tr>
+        <td>${metric.label}</td>
+        ${times.map((time, index) => {
+          if (time === null) return '<td>---</td>';
+          if (index === 0 || times[0] === null) return `<td>${time.toFixed(2)}s</td>`;
+          
+          const delta = time - times[0];
+          const deltaClass = delta < 0 ? 'split-ahead' : 'split-behind';
+          return `<td>${time.toFixed(2)}s <span class="${deltaClass}">${delta < 0 ? '' : '+'}${delta.toFixed(2)}</span></td>`;
+        }).join('')}
+      </tr>
+    `).join('');
+    
+    this.elements.compareModal.classList.add('show');
+    this.sizeCanvas(this.elements.compareChart);
+    this.sizeCanvas(this.elements.compareDeltaChart);
+    
+    const speedSeries = traces.map((trace, index) => ({
+      color: colors[index % colors.length],
+      points: trace.map(point => ({ x: point.t, y: point.speed * speedFactor }))
+    }));
+    
+    // Time gap to the baseline at the same distance covered; negative means ahead
+    const baselineEnd = baseline[baseline.length - 1]?.distance ?? 0;
+    const deltaSeries = traces.slice(1).map((trace, index) => {
+      const baselineTime = this.traceInterpolator(baseline, 'distance', 't');
+      return {
+        color: colors[(index + 1) % colors.length],
+        points: trace
+          .filter(point => point.distance > 1 && point.distance <= baselineEnd)
+          .map(point => ({ x: point.t, baseline: baselineTime(point.distance) }))
+          // Kalman distance can dip, leaving no baseline sample at or past a target
+          .filter(point => Number.isFinite(point.baseline))
+          .map(point => ({ x: point.x, y: point.x - point.baseline }))
+      };
+    });
     
+    this.drawSeriesChart(this.elements.compareChart, speedSeries, {
+      xLabel: 'Seconds from launch',
+      yLabel: `Speed (${this.isMetric ? 'km/h' : 'mph'})`
+    });
+    this.drawSeriesChart(this.elements.compareDeltaChart, deltaSeries, {
+      xLabel: 'Seconds from launch',
+      yLabel: 'Gap (s)',
+      yDecimals: 2,
+      zeroLine: true
+    });
+  }
+
+  closeCompareModal() {
+    this.elements.compareModal.classList.remove('show');
+  }
+
+  // Line chart of one or more { color, points: [{ x, y }] } series.
+  // Ranges default to the data; pass xMin/xMax to show a zoomed window.
+  // The y axis starts at 0 unless fitY is set, which pads around the data's own range.
+  // Long series are thinned to what the canvas can show before drawing.
+  drawSeriesChart(canvas, series, options) {
+    const {
+      xLabel,
+      yLabel,
+      yDecimals = 0,
+      zeroLine = false,
+      fitY = false,
+      top = 10,
+      lineWidth = 2,
+      yFloor = yDecimals ? 0.1 : 10,
+      formatX = value => value.toFixed(1),
+      cursor = null,
+      note = null
+    } = options;
+    
+    const ctx = canvas.getContext('2d');
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
     const chartArea = {
       left: 10,
-      right: canvas.width - 40,
-      top: 30,
+      right: canvas.width - 45,
+      top,
       bottom: canvas.height - 40
     };
     const chartWidth = chartArea.right - chartArea.left;
     const chartHeight = chartArea.bottom - chartArea.top;
     
-    // Find max speed
-    let maxSpeed = 50;
-    let minTime = 0;
-    let maxTime = 1;
-    let timeRange = 1;
-    
-    if (this.chartData.length > 0) {
-      maxSpeed = Math.max(...this.chartData.map(d => d.speed), 50);
-      minTime = Math.min(...this.chartData.map(d => d.time));
-      maxTime = Math.max(...this.chartData.map(d => d.time));
-      timeRange = Math.max(maxTime - minTime, 1);
+    // Loops rather than Math.min(...points): spreading a long run's trace overflows the call stack
+    let dataXMin = 0;
+    let dataXMax = 1;
+    series.forEach(s => s.points.forEach(p => {
+      if (p.x < dataXMin) dataXMin = p.x;
+      if (p.x > dataXMax) dataXMax = p.x;
+    }));
+    const xMin = options.xMin ?? dataXMin;
+    const xMax = Math.max(options.xMax ?? dataXMax, xMin + 1e-6);
+    
+    const drawn = series.map(s => ({ color: s.color, segments: this.thinSeries(s.points, xMin, xMax, chartWidth * 2) }));
+    let yMin = fitY ? Infinity : 0;
+    let yMax = fitY ? -Infinity : yFloor;
+    drawn.forEach(s => s.segments.forEach(segment => segment.forEach(p => {
+      if (p.x < xMin || p.x > xMax) return;
+      if (p.y < yMin) yMin = p.y;
+      if (p.y > yMax) yMax = p.y;
+    })));
+    if (fitY) {
+      if (yMin > yMax) {
+        yMin = 0;
+        yMax = yFloor;
+      } else {
+        // A tenth of the range either side, at least one step of the label precision
+        const padding = Math.max((yMax - yMin) * 0.1, 10 ** -yDecimals);
+        yMin -= padding;
+        yMax += padding;
+      }
+    }
+    if (zeroLine) {
+      // Keep zero centred so ahead/behind read symmetrically
+      yMax = Math.max(Math.abs(yMin), Math.abs(yMax));
+      yMin = -yMax;
     }
+    const yRange = yMax - yMin;
+    
+    const toX = x => chartArea.left + ((x - xMin) / (xMax - xMin)) * chartWidth;
+    const toY = y => chartArea.bottom - ((y - yMin) / yRange) * chartHeight;
     
     // Grid
     const isDark = document.body.classList.contains('dark-mode');
     ctx.strokeStyle = isDark ? '#333' : '#E0E0E0';
     ctx.lineWidth = 0.5;
     
-    for (let i = 1; i < 6; i++) {
+    for (let i = 0; i <= 6; i++) {
       const x = chartArea.left + (chartWidth / 6) * i;
       ctx.beginPath();
       ctx.moveTo(x, chartArea.top);
@@ -1394,71 +5318,155 @@ class SpeedTracker {
       ctx.stroke();
     }
     
-    for (let i = 1; i < 5; i++) {
-      const y = chartArea.top + (chartHeight / 5) * i;
+    for (let i = 0; i <= 4; i++) {
+      const y = chartArea.top + (chartHeight / 4) * i;
       ctx.beginPath();
       ctx.moveTo(chartArea.left, y);
       ctx.lineTo(chartArea.right, y);
       ctx.stroke();
     }
     
-    // Labels
+    if (zeroLine || yMin < 0) {
+      ctx.strokeStyle = isDark ? '#888' : '#999';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(chartArea.left, toY(0));
+      ctx.lineTo(chartArea.right, toY(0));
+      ctx.stroke();
+    }
+    
+    // Axis values
     ctx.fillStyle = isDark ? '#ccc' : '#666';
     ctx.font = '11px Inter';
+    ctx.textAlign = 'left';
+    for (let i = 0; i <= 4; i++) {
+      const value = yMin + (yRange / 4) * i;
+      ctx.fillText(value.toFixed(yDecimals), chartArea.right + 5, toY(value) + 4);
+    }
     
-    // Y-axis
-    for (let i = 0; i <= 5; i++) {
-      const speedValue = (maxSpeed / 5) * i;
-      const y = chartArea.bottom - (i / 5) * chartHeight;
-      ctx.textAlign = 'left';
-      ctx.fillText(`${speedValue.toFixed(0)}`, chartArea.right + 5, y + 4);
+    ctx.textAlign = 'center';
+    for (let i = 0; i <= 6; i++) {
+      const value = xMin + ((xMax - xMin) / 6) * i;
+      ctx.fillText(formatX(value), toX(value), chartArea.bottom + 15);
     }
     
-    // Y-axis label
+    // Axis labels
     ctx.fillStyle = isDark ? '#fff' : '#1A1A1A';
     ctx.font = '12px Inter';
-    ctx.textAlign = 'center';
+    ctx.fillText(xLabel, chartArea.left + chartWidth / 2, canvas.height - 8);
     ctx.save();
-    ctx.translate(canvas.width - 10, chartArea.top + chartHeight / 2);
+    ctx.translate(canvas.width - 8, chartArea.top + chartHeight / 2);
     ctx.rotate(-Math.PI / 2);
-    ctx.fillText(`Speed (${this.isMetric ? 'km/h' : 'mph'})`, 0, 0);
+    ctx.fillText(yLabel, 0, 0);
     ctx.restore();
     
-    // X-axis
-    ctx.fillStyle = isDark ? '#ccc' : '#666';
-    ctx.font = '11px Inter';
-    ctx.textAlign = 'center';
+    // Lines, clipped to the plot so zoomed views don't spill over the axes
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartWidth, chartHeight);
+    ctx.clip();
+    drawn.forEach(({ color, segments }) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.beginPath();
+      segments.forEach(segment => {
+        if (segment.length < 2) return;
+        segment.forEach((point, index) => {
+          if (index === 0) {
+            ctx.moveTo(toX(point.x), toY(point.y));
+          } else {
+            ctx.lineTo(toX(point.x), toY(point.y));
+          }
+        });
+      });
+      ctx.stroke();
+    });
+    ctx.restore();
     
-    for (let i = 0; i <= 6; i++) {
-      const timeValue = (timeRange / 6) * i;
-      const secondsAgo = timeRange - timeValue;
-      const x = chartArea.left + (i / 6) * chartWidth;
-      ctx.fillText(`${secondsAgo.toFixed(0)}s`, x, chartArea.bottom + 15);
+    // Note in the top right of the plot
+    if (note) {
+      ctx.fillStyle = isDark ? '#fff' : '#1A1A1A';
+      ctx.font = '12px Inter';
+      ctx.textAlign = 'right';
+      ctx.fillText(note, chartArea.right - 6, chartArea.top + 14);
     }
     
-    ctx.fillStyle = isDark ? '#fff' : '#1A1A1A';
-    ctx.font = '12px Inter';
-    ctx.fillText('Seconds Ago', chartArea.left + chartWidth / 2, canvas.height - 8);
-    
-    // Draw speed line
-    if (this.chartData.length >= 1) {
-      ctx.strokeStyle = '#FF3B30'; // Red color
-      ctx.lineWidth = 3;
+    // Cursor: vertical line at cursor.x with a readout box
+    if (cursor) {
+      const x = toX(cursor.x);
+      ctx.strokeStyle = isDark ? '#fff' : '#1A1A1A';
+      ctx.lineWidth = 1;
       ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.stroke();
       
-      this.chartData.forEach((point, index) => {
-        const x = chartArea.left + ((point.time - minTime) / timeRange) * chartWidth;
-        const y = chartArea.bottom - (point.speed / maxSpeed) * chartHeight;
-        
-        if (index === 0) {
-          ctx.moveTo(x, y);
-        } else {
-          ctx.lineTo(x, y);
-        }
+      ctx.font = '11px Inter';
+      const boxWidth = Math.max(...cursor.lines.map(line => ctx.measureText(line).width)) + 12;
+      const boxHeight = cursor.lines.length * 14 + 6;
+      const boxX = x + boxWidth + 6 > chartArea.right ? x - boxWidth - 6 : x + 6;
+      ctx.fillStyle = isDark ? 'rgba(0, 0, 0, 0.75)' : 'rgba(255, 255, 255, 0.85)';
+      ctx.fillRect(boxX, chartArea.top, boxWidth, boxHeight);
+      ctx.fillStyle = isDark ? '#fff' : '#1A1A1A';
+      ctx.textAlign = 'left';
+      cursor.lines.forEach((line, index) => {
+        ctx.fillText(line, boxX + 6, chartArea.top + 15 + index * 14);
       });
-      
-      ctx.stroke();
     }
+    
+    return { chartArea, xMin, xMax };
+  }
+
+  // Splits a series into the stretches inside xMin-xMax (plus the point either side,
+  // so lines run to the edge) and thins them to about maxPoints in total. Each
+  // bucket of consecutive points keeps its lowest and highest y, so peaks survive
+  // whatever the order of x.
+  thinSeries(points, xMin, xMax, maxPoints) {
+    const inView = index => points[index].x >= xMin && points[index].x <= xMax;
+    const segments = [];
+    let segment = null;
+    let kept = 0;
+    for (let i = 0; i < points.length; i++) {
+      if (inView(i) || (i > 0 && inView(i - 1)) || (i < points.length - 1 && inView(i + 1))) {
+        if (!segment) {
+          segment = [];
+          segments.push(segment);
+        }
+        segment.push(points[i]);
+        kept++;
+      } else {
+        segment = null;
+      }
+    }
+    
+    if (kept <= maxPoints) return segments;
+    
+    const bucketSize = Math.ceil(kept / (maxPoints / 2));
+    return segments.map(stretch => {
+      const thinned = [];
+      for (let start = 0; start < stretch.length; start += bucketSize) {
+        const end = Math.min(start + bucketSize, stretch.length);
+        let low = start;
+        let high = start;
+        for (let i = start + 1; i < end; i++) {
+          if (stretch[i].y < stretch[low].y) low = i;
+          if (stretch[i].y > stretch[high].y) high = i;
+        }
+        thinned.push(stretch[Math.min(low, high)]);
+        if (low !== high) thinned.push(stretch[Math.max(low, high)]);
+      }
+      // Keep the ends so the line still reaches the edges of the view
+      if (thinned[thinned.length - 1] !== stretch[stretch.length - 1]) thinned.push(stretch[stretch.length - 1]);
+      if (thinned[0] !== stretch[0]) thinned.unshift(stretch[0]);
+      return thinned;
+    });
+  }
+
+  // Matches a canvas' drawing buffer to its container
+  sizeCanvas(canvas) {
+    const rect = canvas.parentElement.getBoundingClientRect();
+    canvas.width = rect.width;
+    canvas.height = rect.height;
   }
 
   toggleDarkMode() {
@@ -1475,12 +5483,40 @@ class SpeedTracker {
     this.elements.metricToggle.classList.toggle('active', this.isMetric);
     this.elements.speedUnit.textContent = this.isMetric ? 'km/h' : 'mph';
     this.renderMetricSelection(); // Update metric selection for new units
+    this.renderSpeechSettings();
+    this.renderCustomMetricUnits();
+    this.renderGarage();
+    this.renderWeather();
     this.renderMetrics();
     this.updateChart();
   }
 
+  toggleBrakingMode() {
+    this.brakingMode = !this.brakingMode;
+    localStorage.setItem('brakingMode', this.brakingMode);
+    this.elements.brakingModeToggle.classList.toggle('active', this.brakingMode);
+    this.runBrakingState = {};
+    this.renderMetrics();
+  }
+
+  toggleGMeter() {
+    this.showGMeter = !this.showGMeter;
+    localStorage.setItem('showGMeter', this.showGMeter);
+    this.elements.gMeterToggle.classList.toggle('active', this.showGMeter);
+    this.elements.gMeterSection.classList.toggle('hidden', !this.showGMeter);
+    this.gMeterTrail = [];
+    
+    if (this.showGMeter) {
+      this.sizeCanvas(this.elements.gMeterCanvas);
+      this.drawGMeter();
+      this.renderGMeterPeaks();
+    }
+  }
+
   openSettings() {
     this.elements.settingsModal.classList.add('show');
+    this.renderSavedRuns();
+    this.renderCorrectionStatus(); // Altitude may have changed since
   }
 
   closeSettings() {
@@ -1488,23 +5524,40 @@ class SpeedTracker {
   }
 
   showHistoryModal(metricId) {
-    const allMetrics = [...this.metricDefinitions.speed, ...this.metricDefinitions.distance];
-    const metric = allMetrics.find(m => m.id === metricId);
+    const metric = this.allMetrics().find(m => m.id === metricId);
     
-    if (!metric || !metric.history.length) return;
+    if (!metric) return;
     
-    const sortedHistory = [...metric.history].sort((a, b) => a.time - b.time);
+    const sortedHistory = this.sortHistory(metric);
+    const vehicle = this.activeVehicle();
     
     this.elements.historyHeader.textContent = `${metric.label} History`;
-    this.elements.historyTableBody.innerHTML = sortedHistory.map((entry, index) => `
+    this.elements.historyTableBody.innerHTML = sortedHistory.length ? sortedHistory.map((entry, index) => `
       <tr>
         <td>${index + 1}</td>
-        <td>${entry.timeString}</td>
-        <td>${entry.dateString}</td>
+        <td>
+          ${this.escapeHtml(entry.timeString)}${this.qualityBadge(entry, true)}${this.treeLine(entry)}
+          ${this.correctedLine(entry)}${this.gradeLine(metric, entry)}
+        </td>
+        <td>${this.escapeHtml(entry.dateString ?? '')}</td>
       </tr>
-    `).join('');
+    `).join('') : '<tr><td colspan="3">No results yet</td></tr>';
+    
+    this.historyMetricId = metricId;
+    this.elements.historyTargetLabel.textContent = `Target for ${vehicle.name}`;
+    this.elements.historyTarget.value = vehicle.targets[metricId] || '';
+    this.elements.historyTargetRow.classList.remove('hidden');
+    this.elements.historyViews.classList.remove('hidden');
     
     this.elements.historyModal.classList.add('show');
+    this.setHistoryView(this.historyView);
+  }
+
+  // Corrected figure under a raw result, if it was recorded with weather
+  correctedLine(entry) {
+    return entry.correctedString
+      ? `<div class="history-corrected">SAE ${this.escapeHtml(entry.correctedString)}</div>`
+      : '';
   }
 
   closeHistoryModal() {
@@ -1522,33 +5575,29 @@ class SpeedTracker {
 
   confirmReset() {
     // Clear all data
-    this.metricDefinitions.speed.forEach(metric => {
-      metric.recent = null;
-      metric.best = null;
-      metric.history = [];
-    });
-    this.metricDefinitions.distance.forEach(metric => {
+    this.allMetrics().forEach(metric => {
       metric.recent = null;
       metric.best = null;
       metric.history = [];
     });
     
-    localStorage.removeItem('dragRacingMetricHistory');
-    localStorage.removeItem('dragRacingRuns');
+    this.store.clear().catch(error => {
+      console.warn('Error clearing saved runs:', error);
+    });
     
     if (this.isRunning) {
       this.stopRun();
     }
     
     // Reset all velocity and sensor fusion state
-    this.velocity = 0;
-    this.fusedSpeed = 0;
-    this.accelIntegratedSpeed = 0;
-    this.speedEstimateUncertainty = 10;
-    this.accelSpeedUncertainty = 0;
+    this.kalman.reset(0, 100);
+    this.syncFusionState();
     this.distance = 0;
     this.gpsDistance = 0;
     this.chartData = [];
+    this.runTrace = [];
+    this.chartView = null;
+    this.chartCursor = null;
     this.elements.speedValue.textContent = '0';
     
     this.updateChart();